@@ -8,15 +8,65 @@ function App() {
     phase: null,
     roomId: null,
     playerId: null,
-    ws: null
+    ws: null,
+    resumeToken: null,
+    roomConfig: null,
+    roomRules: null,
+    playerNames: null,
+    replayPlayer: null,
+    spectator: false,
+    delayTurns: 0
   });
 
-  const handleStartGame = (roomId, playerId, ws) => {
+  // room: { config, rules, playerNames } from the server's ROOM_UPDATE - the rules
+  // this room plays with and the display names known so far
+  const handleStartGame = (roomId, playerId, ws, resumeToken = null, room = {}) => {
     setGameState({
       phase: GAME_PHASES.BUILD,
       roomId,
       playerId,
-      ws
+      ws,
+      resumeToken,
+      roomConfig: room.config || null,
+      roomRules: room.rules || null,
+      playerNames: room.playerNames || null,
+      replayPlayer: null,
+      spectator: false,
+      delayTurns: 0
+    });
+  };
+
+  const handleStartReplay = (replayPlayer) => {
+    setGameState({
+      phase: GAME_PHASES.REPLAY,
+      roomId: replayPlayer.replay.roomId,
+      playerId: null,
+      ws: null,
+      resumeToken: null,
+      roomConfig: null,
+      roomRules: null,
+      playerNames: null,
+      replayPlayer,
+      spectator: false,
+      delayTurns: 0
+    });
+  };
+
+  // Watching a live room: the server streams its recorded events into replayPlayer
+  // (room: { config, rules, playerNames, delayTurns } from the spectator's ROOM_UPDATE)
+  const handleStartSpectating = (roomId, ws, replayPlayer, room = {}) => {
+    setGameState({
+      phase: GAME_PHASES.REPLAY,
+      roomId,
+      playerId: null,
+      ws,
+      resumeToken: null,
+      roomConfig: room.config || null,
+      roomRules: room.rules || null,
+      playerNames: room.playerNames || null,
+      replayPlayer,
+      spectator: true,
+      delayTurns: room.delayTurns || 0
     });
   };
 
@@ -28,12 +78,19 @@ function App() {
       phase: null,
       roomId: null,
       playerId: null,
-      ws: null
+      ws: null,
+      resumeToken: null,
+      roomConfig: null,
+      roomRules: null,
+      playerNames: null,
+      replayPlayer: null,
+      spectator: false,
+      delayTurns: 0
     });
   };
 
   if (!gameState.phase) {
-    return <MenuFA onStartGame={handleStartGame} />;
+    return <MenuFA onStartGame={handleStartGame} onStartReplay={handleStartReplay} onStartSpectating={handleStartSpectating} />;
   }
 
   return (
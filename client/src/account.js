@@ -0,0 +1,106 @@
+// Signed-in account on this browser
+// The session token from /accounts/register or /accounts/login is kept in
+// localStorage, sent as a Bearer token with the account requests and as
+// ?token= on every WebSocket the client opens (the server then uses the
+// account's display name and adds finished matches to its history).
+// Requests resolve with the server's JSON and reject with its `error` text.
+
+import logger from '@shared/logger.js';
+
+const API_URL = 'http://localhost:3000';
+const TOKEN_STORAGE_KEY = 'dwi-bs.sessionToken';
+
+export function getSessionToken() {
+  try {
+    return localStorage.getItem(TOKEN_STORAGE_KEY);
+  } catch (error) {
+    return null; // storage disabled: play as a guest
+  }
+}
+
+function setSessionToken(token) {
+  try {
+    if (token) {
+      localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    } else {
+      localStorage.removeItem(TOKEN_STORAGE_KEY);
+    }
+  } catch (error) {
+    logger.warn('Session token could not be stored:', error);
+  }
+}
+
+// WebSocket URL with the session token when signed in
+export function withSessionToken(wsUrl) {
+  const token = getSessionToken();
+  return token ? `${wsUrl}/?token=${encodeURIComponent(token)}` : wsUrl;
+}
+
+async function request(path, { method = 'GET', body } = {}) {
+  const token = getSessionToken();
+  const res = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    ...(body !== undefined && { body: JSON.stringify(body) })
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    // The token expired or was signed out elsewhere
+    if (res.status === 401 && token) setSessionToken(null);
+    throw new Error(data.error || `HTTP ${res.status}`);
+  }
+  return data;
+}
+
+// Both resolve with the account and keep its session token
+export async function register(username, password, displayName) {
+  const { account, token } = await request('/accounts/register', {
+    method: 'POST',
+    body: { username, password, ...(displayName && { displayName }) }
+  });
+  setSessionToken(token);
+  return account;
+}
+
+export async function login(username, password) {
+  const { account, token } = await request('/accounts/login', {
+    method: 'POST',
+    body: { username, password }
+  });
+  setSessionToken(token);
+  return account;
+}
+
+export async function logout() {
+  try {
+    await request('/accounts/logout', { method: 'POST', body: {} });
+  } finally {
+    setSessionToken(null);
+  }
+}
+
+// The signed-in account, or null for a guest (also when the token expired)
+export async function fetchAccount() {
+  if (!getSessionToken()) return null;
+  try {
+    const { account } = await request('/accounts/me');
+    return account;
+  } catch (error) {
+    logger.debug('Account not available:', error.message);
+    return null;
+  }
+}
+
+// changes: { displayName?, settings? }; resolves with the updated account
+export async function updateAccount(changes) {
+  const { account } = await request('/accounts/me', { method: 'PUT', body: changes });
+  return account;
+}
+
+export async function fetchMatchHistory(limit) {
+  const { matches } = await request(`/accounts/me/matches${limit ? `?limit=${limit}` : ''}`);
+  return matches;
+}
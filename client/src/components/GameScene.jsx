@@ -4,23 +4,158 @@ import { GameRenderer } from '../game/renderer.js';
 import { MESSAGE_TYPES, GAME_PHASES } from '@shared/types.js';
 import faTexts from '../i18n/fa.json';
 import logger from '@shared/logger.js';
+import { withSessionToken } from '../account.js';
+
+const WS_URL = 'ws://localhost:3000';
+const RECONNECT_DELAY_MS = 2000;
+const MAX_RECONNECT_ATTEMPTS = 30; // Roughly the server's reconnect grace period
+
+// Short summary of a room's rule overrides for the lobby, e.g. "زمین ۱۲×۱۲، بودجه ساخت ۱۶"
+function describeRuleOverrides(overrides = {}) {
+  const texts = faTexts.rules;
+  const parts = [];
+  if (overrides.gridSize) parts.push(`${texts.gridSize} ${overrides.gridSize}×${overrides.gridSize}`);
+  if (overrides.buildBudget) parts.push(`${texts.buildBudget} ${overrides.buildBudget}`);
+  Object.entries(overrides.mana || {}).forEach(([key, value]) => {
+    if (texts[key]) parts.push(`${texts[key]} ${value}`);
+  });
+  if (overrides.battle?.turnTimeSeconds) parts.push(`${texts.turnTimeSeconds} ${overrides.battle.turnTimeSeconds}`);
+  if (overrides.battle?.fogOfWar !== undefined) parts.push(overrides.battle.fogOfWar ? texts.fogOn : texts.fogOff);
+  if (overrides.deploymentZones) {
+    // The same back rows for everyone is the common case (custom form, presets)
+    const zones = Object.values(overrides.deploymentZones);
+    const backRows = zones[0]?.backRows;
+    const onlyBackRows = zones.every(zone => Object.keys(zone).length === 1 && zone.backRows === backRows);
+    parts.push(onlyBackRows ? `${texts.deploymentRows} ${backRows}` : texts.customDeployment);
+  }
+  return parts.join('، ');
+}
 
 export default function GameScene({ gameState, onBackToMenu }) {
   const gameRef = useRef(null);
   const phaserGameRef = useRef(null);
+  const reconnectTimerRef = useRef(null);
+  const reconnectAttemptsRef = useRef(0);
   const [config, setConfig] = useState(null);
   const [currentPhase, setCurrentPhase] = useState(GAME_PHASES.BUILD);
   const [notifications, setNotifications] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [isReconnecting, setIsReconnecting] = useState(false);
   const [error, setError] = useState(null);
+  // Display names by seat, kept up to date by the renderer (replays: from the recorded events)
+  const [playerNames, setPlayerNames] = useState(
+    gameState.replayPlayer ? gameState.replayPlayer.getPlayerNames() : (gameState.playerNames || {})
+  );
+
+  const addNotification = (msg) => {
+    setNotifications(prev => [...prev, { id: Date.now(), message: msg }]);
+    setTimeout(() => {
+      setNotifications(prev => prev.slice(1));
+    }, 3000);
+  };
+
+  const forwardServerMessage = (event) => {
+    const data = JSON.parse(event.data);
+    logger.websocket(`Received: ${data.type}`, data);
+    if (phaserGameRef.current && phaserGameRef.current.scene.scenes[0]) {
+      phaserGameRef.current.scene.scenes[0].handleServerMessage(data);
+    }
+  };
+
+  const attachSocket = (ws) => {
+    ws.onmessage = forwardServerMessage;
+    ws.onclose = handleSocketClosed;
+  };
+
+  const handleSocketClosed = () => {
+    // Spectators hold no seat to resume
+    if (gameState.spectator) {
+      setError(faTexts.spectator.disconnected);
+      return;
+    }
+    if (!gameState.resumeToken) return;
+    logger.warn('WebSocket closed, trying to resume session', { roomId: gameState.roomId });
+    setIsReconnecting(true);
+    scheduleReconnect();
+  };
+
+  const scheduleReconnect = () => {
+    if (reconnectAttemptsRef.current >= MAX_RECONNECT_ATTEMPTS) {
+      logger.error('Giving up on resuming session', { attempts: reconnectAttemptsRef.current });
+      setIsReconnecting(false);
+      setError(faTexts.notifications.sessionExpired);
+      return;
+    }
+    reconnectAttemptsRef.current++;
+    reconnectTimerRef.current = setTimeout(tryResumeSession, RECONNECT_DELAY_MS);
+  };
+
+  const tryResumeSession = () => {
+    logger.info(`Resuming session (attempt ${reconnectAttemptsRef.current})`);
+    const ws = new WebSocket(withSessionToken(WS_URL));
+
+    ws.onopen = () => {
+      ws.send(JSON.stringify({
+        type: MESSAGE_TYPES.RESUME_SESSION,
+        roomId: gameState.roomId,
+        playerId: gameState.playerId,
+        resumeToken: gameState.resumeToken
+      }));
+    };
+
+    ws.onmessage = (event) => {
+      const data = JSON.parse(event.data);
+      if (data.type === MESSAGE_TYPES.ERROR && data.message === 'Session expired') {
+        logger.error('Server rejected session resume');
+        ws.onclose = null;
+        ws.close();
+        setIsReconnecting(false);
+        setError(faTexts.notifications.sessionExpired);
+        return;
+      }
+      if (data.type === MESSAGE_TYPES.ROOM_UPDATE && data.resumed) {
+        logger.info('Session resumed', { roomId: data.roomId, playerId: data.playerId });
+        // The scene and unit placement send through gameState.ws, so swap the socket in place
+        gameState.ws = ws;
+        reconnectAttemptsRef.current = 0;
+        setIsReconnecting(false);
+        attachSocket(ws);
+        addNotification(faTexts.notifications.reconnected);
+      }
+      forwardServerMessage(event);
+    };
+
+    // Connection failed before the session was resumed - try again
+    ws.onclose = () => scheduleReconnect();
+  };
 
   useEffect(() => {
+    // Replays carry the rules the match was played with
+    if (gameState.replayPlayer) {
+      logger.info('Using config from replay');
+      setConfig(gameState.replayPlayer.replay.config);
+      setIsLoading(false);
+      return;
+    }
+
+    // The server sent the room's rules (preset or custom) with ROOM_UPDATE
+    if (gameState.roomConfig) {
+      logger.info('Using config from room', { gridSize: gameState.roomConfig.gridSize, rules: gameState.roomRules });
+      setConfig(gameState.roomConfig);
+      setIsLoading(false);
+      return;
+    }
+
     logger.info('Loading game config...');
     setIsLoading(true);
     setError(null);
     
-    // Load config from server
-    fetch('http://localhost:3000/config.json')
+    // Load config from server - the room's own snapshot, which may be older than
+    // the current config.json if the server reloaded it after the room was created
+    const configUrl = gameState.roomId
+      ? `http://localhost:3000/config.json?roomId=${encodeURIComponent(gameState.roomId)}`
+      : 'http://localhost:3000/config.json';
+    fetch(configUrl)
       .then(res => {
         if (!res.ok) throw new Error(`HTTP ${res.status}`);
         return res.json();
@@ -60,7 +195,7 @@ export default function GameScene({ gameState, onBackToMenu }) {
   }, []);
 
   useEffect(() => {
-    if (!config || !gameState.ws || !gameRef.current) {
+    if (!config || !(gameState.ws || gameState.replayPlayer) || !gameRef.current) {
       logger.debug('Waiting for config, ws, or gameRef...', { config: !!config, ws: !!gameState.ws, gameRef: !!gameRef.current });
       return;
     }
@@ -88,13 +223,10 @@ export default function GameScene({ gameState, onBackToMenu }) {
     const sceneData = {
       config: JSON.parse(JSON.stringify(config)), // Deep clone to avoid reference issues
       gameState,
-      onNotification: (msg) => {
-        setNotifications(prev => [...prev, { id: Date.now(), message: msg }]);
-        setTimeout(() => {
-          setNotifications(prev => prev.slice(1));
-        }, 3000);
-      },
-      onPhaseChange: setCurrentPhase
+      replayPlayer: gameState.replayPlayer,
+      onNotification: addNotification,
+      onPhaseChange: setCurrentPhase,
+      onPlayerNamesChange: setPlayerNames
     };
 
     try {
@@ -120,20 +252,21 @@ export default function GameScene({ gameState, onBackToMenu }) {
       
       logger.info('Phaser game initialized successfully');
 
-      // Handle WebSocket messages
-      gameState.ws.onmessage = (event) => {
-        const data = JSON.parse(event.data);
-        logger.websocket(`Received: ${data.type}`, data);
-        if (phaserGameRef.current && phaserGameRef.current.scene.scenes[0]) {
-          phaserGameRef.current.scene.scenes[0].handleServerMessage(data);
-        }
-      };
+      // Handle WebSocket messages (and resume the session if the socket drops)
+      if (gameState.ws) {
+        attachSocket(gameState.ws);
+      }
     } catch (error) {
       logger.error('Error initializing Phaser:', error);
       setError('خطا در راه‌اندازی بازی');
     }
 
     return () => {
+      // Leaving the game closes the socket on purpose - don't try to resume
+      clearTimeout(reconnectTimerRef.current);
+      if (gameState.ws) {
+        gameState.ws.onclose = null;
+      }
       if (phaserGameRef.current) {
         logger.info('Destroying Phaser game instance');
         phaserGameRef.current.destroy(true);
@@ -169,7 +302,7 @@ export default function GameScene({ gameState, onBackToMenu }) {
   }
 
   // Show game when config is loaded
-  if (!config || !gameState.ws) {
+  if (!config || !(gameState.ws || gameState.replayPlayer)) {
     return (
       <div style={styles.container}>
         <div style={styles.loadingContainer}>
@@ -179,6 +312,21 @@ export default function GameScene({ gameState, onBackToMenu }) {
     );
   }
 
+  const rulesSummary = gameState.roomRules ? describeRuleOverrides(gameState.roomRules.overrides) : '';
+  // A room on a map with standard rules only shows the map
+  const roomMap = gameState.roomRules?.map;
+  const hasRuleChanges = gameState.roomRules && (gameState.roomRules.preset || rulesSummary);
+  // "you vs opponent" for players, "player1 vs player2" when watching
+  const isViewer = !gameState.playerId;
+  const opponentId = gameState.playerId === 'player1' ? 'player2' : 'player1';
+  const leftName = isViewer
+    ? (playerNames.player1 || faTexts.replay.player1)
+    : `${faTexts.player.you}${playerNames[gameState.playerId] ? ` (${playerNames[gameState.playerId]})` : ''}`;
+  const rightName = isViewer
+    ? (playerNames.player2 || faTexts.replay.player2)
+    : (playerNames[opponentId] || faTexts.player.opponent);
+  const hasPlayerNames = Boolean(playerNames.player1 || playerNames.player2);
+
   return (
     <div style={styles.container}>
       <div style={styles.hud}>
@@ -190,10 +338,40 @@ export default function GameScene({ gameState, onBackToMenu }) {
             کد اتاق: <strong style={{fontFamily: 'monospace', fontSize: '1.2em'}}>{gameState.roomId}</strong>
           </div>
         )}
+        {roomMap && (
+          <div style={styles.roomRules}>
+            {faTexts.rules.map}: <strong>{roomMap.titleFA}</strong>
+          </div>
+        )}
+        {hasRuleChanges && (
+          <div style={styles.roomRules}>
+            {faTexts.rules.label}: <strong>{gameState.roomRules.titleFA || faTexts.rules.custom}</strong>
+            {rulesSummary && <span style={styles.roomRulesDetails}> ({rulesSummary})</span>}
+          </div>
+        )}
         <div style={styles.phaseIndicator}>
           {currentPhase === GAME_PHASES.BUILD && faTexts.game.buildPhase}
           {currentPhase === GAME_PHASES.BATTLE && faTexts.game.battlePhase}
+          {currentPhase === GAME_PHASES.REPLAY && (gameState.spectator ? faTexts.spectator.live : faTexts.replay.title)}
         </div>
+        {hasPlayerNames && (
+          <div style={styles.roomRules}>
+            <strong>{leftName}</strong> {faTexts.player.versus} <strong>{rightName}</strong>
+          </div>
+        )}
+        {gameState.spectator && (
+          <div style={styles.roomRules}>
+            {faTexts.spectator.title}
+            {gameState.delayTurns > 0 && (
+              <span style={styles.roomRulesDetails}> ({faTexts.spectator.delay} {gameState.delayTurns} {faTexts.spectator.turns})</span>
+            )}
+          </div>
+        )}
+        {isReconnecting && (
+          <div style={styles.connectionStatus}>
+            {faTexts.notifications.reconnecting}
+          </div>
+        )}
       </div>
       
       <div ref={gameRef} style={styles.gameContainer} />
@@ -236,6 +414,19 @@ const styles = {
     fontSize: '0.9rem',
     border: '1px solid #ffd700',
   },
+  roomRules: {
+    padding: '0.5rem 1rem',
+    background: 'rgba(43, 58, 66, 0.9)',
+    color: '#fff',
+    borderRadius: '5px',
+    fontFamily: 'Vazirmatn, Tahoma',
+    fontSize: '0.9rem',
+    border: '1px solid #3f5765',
+  },
+  roomRulesDetails: {
+    color: '#ccc',
+    fontSize: '0.85em',
+  },
   backButton: {
     padding: '0.5rem 1rem',
     background: '#3f5765',
@@ -252,6 +443,14 @@ const styles = {
     borderRadius: '5px',
     fontWeight: 'bold',
   },
+  connectionStatus: {
+    padding: '0.5rem 1rem',
+    background: 'rgba(255, 68, 68, 0.2)',
+    color: '#ff4444',
+    borderRadius: '5px',
+    border: '1px solid #ff4444',
+    fontFamily: 'Vazirmatn, Tahoma',
+  },
   gameContainer: {
     width: '100%',
     height: '100%',
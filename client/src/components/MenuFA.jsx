@@ -1,16 +1,110 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import faTexts from '../i18n/fa.json';
 import logger from '@shared/logger.js';
-import { MESSAGE_TYPES } from '@shared/types.js';
+import { MESSAGE_TYPES, GAME_PHASES } from '@shared/types.js';
+import { normalizeDisplayName, MAX_DISPLAY_NAME_LENGTH } from '@shared/displayName.js';
 import { VERSION as CLIENT_VERSION } from '../version.js';
+import { ReplayPlayer } from '../game/replayPlayer.js';
+import {
+  withSessionToken,
+  fetchAccount,
+  login as loginAccount,
+  register as registerAccount,
+  logout as logoutAccount,
+  updateAccount,
+  fetchMatchHistory
+} from '../account.js';
 
 const API_URL = 'http://localhost:3000';
 const WS_URL = 'ws://localhost:3000';
+const CUSTOM_RULES = 'custom';
+const MATCH_HISTORY_SHOWN = 5;
 
-export default function MenuFA({ onStartGame }) {
+// Custom-rules form -> CREATE_ROOM `rules` (empty fields keep the server's value)
+function buildCustomRules(form) {
+  const toInt = (value) => (value === '' ? undefined : parseInt(value, 10));
+  const rules = {
+    gridSize: toInt(form.gridSize),
+    buildBudget: toInt(form.buildBudget),
+    mana: { maxShotsPerTurn: toInt(form.maxShotsPerTurn) },
+    battle: { turnTimeSeconds: toInt(form.turnTimeSeconds) }
+  };
+  // Same back rows for both players
+  const deploymentRows = toInt(form.deploymentRows);
+  if (deploymentRows !== undefined) {
+    rules.deploymentZones = {
+      player1: { backRows: deploymentRows },
+      player2: { backRows: deploymentRows }
+    };
+  }
+  // JSON.stringify drops the undefined fields; drop sections left empty too
+  if (rules.mana.maxShotsPerTurn === undefined) delete rules.mana;
+  if (rules.battle.turnTimeSeconds === undefined) delete rules.battle;
+  return rules;
+}
+
+// Line under the host name of a lobby row: rules, map, seats and what's happening
+function describeLobbyRoom(room) {
+  const texts = faTexts.lobby;
+  const parts = [room.rulesTitleFA || (room.customRules ? faTexts.rules.custom : faTexts.rules.standard)];
+  if (room.map) parts.push(room.map.titleFA);
+  if (room.vsAI) parts.push(texts.vsAI);
+  parts.push(`${texts.players} ${room.players}/${room.maxPlayers}`);
+  if (room.players < room.maxPlayers) {
+    parts.push(texts.waitingForOpponent);
+  } else {
+    parts.push(room.phase === GAME_PHASES.BATTLE ? faTexts.game.battlePhase : faTexts.game.buildPhase);
+  }
+  return parts.join('، ');
+}
+
+// One line of the account's match history, e.g. "برد در برابر هوش مصنوعی"
+function describeMatch(match) {
+  const texts = faTexts.account;
+  return `${match.won ? texts.won : texts.lost} ${faTexts.player.versus} ${match.opponentName || faTexts.player.opponent}`;
+}
+
+// Account request errors from the server, in Persian where we know them
+function describeAccountError(message) {
+  const texts = faTexts.account;
+  if (message === 'Invalid username or password') return texts.invalidCredentials;
+  if (message === 'Username is taken') return texts.usernameTaken;
+  if (message?.startsWith('Username must')) return texts.invalidUsername;
+  if (message?.startsWith('Password must')) return texts.invalidPassword;
+  if (message?.startsWith('Display name')) return faTexts.player.invalidName;
+  return texts.requestFailed;
+}
+
+// Seconds as m:ss for the quick-match wait
+function formatWait(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+export default function MenuFA({ onStartGame, onStartReplay, onStartSpectating }) {
   const [roomId, setRoomId] = useState('');
   const [isCreating, setIsCreating] = useState(false);
   const [isJoining, setIsJoining] = useState(false);
+  const [isSpectating, setIsSpectating] = useState(false);
+  const [isLoadingReplay, setIsLoadingReplay] = useState(false);
+  const [isCreatingAI, setIsCreatingAI] = useState(false);
+  const [aiDifficulty, setAIDifficulty] = useState('normal');
+  const [presets, setPresets] = useState([]);
+  const [rulesChoice, setRulesChoice] = useState(''); // '' = standard rules, preset id, or CUSTOM_RULES
+  const [customRules, setCustomRules] = useState({ gridSize: '', buildBudget: '', maxShotsPerTurn: '', turnTimeSeconds: '', deploymentRows: '' });
+  const [maps, setMaps] = useState([]);
+  const [mapChoice, setMapChoice] = useState(''); // '' = plain board from config.json, or a map id
+  const [isPublicRoom, setIsPublicRoom] = useState(false);
+  const [displayName, setDisplayName] = useState('');
+  const [account, setAccount] = useState(null); // signed-in account, null for a guest
+  const [accountForm, setAccountForm] = useState({ username: '', password: '' });
+  const [isAccountBusy, setIsAccountBusy] = useState(false);
+  const [matchHistory, setMatchHistory] = useState([]);
+  const [publicRooms, setPublicRooms] = useState([]);
+  const [queueStatus, setQueueStatus] = useState(null); // QUEUE_STATUS while in the quick-match queue
+  const [queueElapsed, setQueueElapsed] = useState(0); // seconds waited so far
+  const queueSocketRef = useRef(null);
+  const replayFileInputRef = useRef(null);
   const [version, setVersion] = useState(CLIENT_VERSION);
 
   // Try to load version from server (fallback to client version)
@@ -26,18 +120,172 @@ export default function MenuFA({ onStartGame }) {
         // If server is not available, use client version (already set)
         logger.debug('Server version not available, using client version:', CLIENT_VERSION);
       });
+
+    // Rule presets for new rooms (menu works without them)
+    fetch(`${API_URL}/presets`)
+      .then(res => res.json())
+      .then(data => {
+        if (Array.isArray(data)) setPresets(data);
+      })
+      .catch(err => {
+        logger.debug('Presets not available:', err);
+      });
+
+    // Maps from server/maps (menu works without them)
+    fetch(`${API_URL}/maps`)
+      .then(res => res.json())
+      .then(data => {
+        if (Array.isArray(data)) setMaps(data);
+      })
+      .catch(err => {
+        logger.debug('Maps not available:', err);
+      });
   }, []);
 
-  const createRoom = async () => {
-    setIsCreating(true);
-    logger.info('Creating new room...');
+  // Signed in on an earlier visit: the session token is still in localStorage
+  useEffect(() => {
+    fetchAccount().then(savedAccount => {
+      if (savedAccount) applyAccount(savedAccount);
+    });
+  }, []);
+
+  // Public rooms; the server pushes a new list whenever it changes
+  useEffect(() => {
+    const ws = new WebSocket(withSessionToken(WS_URL));
+    ws.onopen = () => {
+      ws.send(JSON.stringify({ type: MESSAGE_TYPES.LIST_ROOMS }));
+    };
+    ws.onmessage = (event) => {
+      const data = JSON.parse(event.data);
+      if (data.type === MESSAGE_TYPES.ROOM_LIST) {
+        setPublicRooms(data.rooms);
+      }
+    };
+    ws.onerror = () => {
+      logger.debug('Room list not available');
+    };
+    return () => ws.close();
+  }, []);
+
+  // Wait counter while queued; leaving the menu unmatched also leaves the queue
+  const isQueued = queueStatus !== null;
+  useEffect(() => {
+    if (!isQueued) return undefined;
+    const startedAt = Date.now();
+    setQueueElapsed(0);
+    const timer = setInterval(() => setQueueElapsed(Math.floor((Date.now() - startedAt) / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, [isQueued]);
+
+  useEffect(() => () => queueSocketRef.current?.close(), []);
+
+  // The account's name and settings fill the menu; its recent matches are listed
+  const applyAccount = (signedInAccount) => {
+    setAccount(signedInAccount);
+    setDisplayName(signedInAccount.displayName);
+    if (signedInAccount.settings?.aiDifficulty) {
+      setAIDifficulty(signedInAccount.settings.aiDifficulty);
+    }
+    fetchMatchHistory(MATCH_HISTORY_SHOWN)
+      .then(setMatchHistory)
+      .catch(err => logger.debug('Match history not available:', err.message));
+  };
+
+  const signIn = async (isNewAccount) => {
+    setIsAccountBusy(true);
+    try {
+      const { username, password } = accountForm;
+      const signedInAccount = isNewAccount
+        ? await registerAccount(username.trim(), password, normalizeDisplayName(displayName).name)
+        : await loginAccount(username.trim(), password);
+      logger.info(`Signed in as ${signedInAccount.username}`);
+      setAccountForm({ username: '', password: '' });
+      applyAccount(signedInAccount);
+    } catch (err) {
+      logger.warn('Sign in failed:', err.message);
+      alert(describeAccountError(err.message));
+    } finally {
+      setIsAccountBusy(false);
+    }
+  };
+
+  const signOut = async () => {
+    try {
+      await logoutAccount();
+    } catch (err) {
+      logger.debug('Sign out request failed:', err.message);
+    }
+    setAccount(null);
+    setMatchHistory([]);
+  };
+
+  // Signed-in players keep their changes on the account
+  const saveAccountChanges = (changes) => {
+    if (!account) return;
+    updateAccount(changes)
+      .then(setAccount)
+      .catch(err => logger.warn('Account not updated:', err.message));
+  };
+
+  const changeAIDifficulty = (difficulty) => {
+    setAIDifficulty(difficulty);
+    saveAccountChanges({ settings: { ...account?.settings, aiDifficulty: difficulty } });
+  };
+
+  // `name` field of CREATE_ROOM / JOIN_ROOM / JOIN_QUEUE, checked the same way the
+  // server does. Returns null after telling the player what is wrong with it.
+  const getNamePayload = () => {
+    const { name, error } = normalizeDisplayName(displayName);
+    if (error) {
+      logger.warn('Invalid display name:', error);
+      alert(faTexts.player.invalidName);
+      return null;
+    }
+    if (name && account && name !== account.displayName) {
+      saveAccountChanges({ displayName: name });
+    }
+    return name ? { name } : {};
+  };
+
+  // Server errors shown to the player (unknown messages as they are)
+  const describeError = (data, fallback) => {
+    if (data.message === 'Invalid display name') return faTexts.player.invalidName;
+    if (data.message === 'Invalid room rules') return [faTexts.rules.invalid, ...(data.details || [])].join('\n');
+    if (data.message === 'Room not found') return 'اتاق پیدا نشد. لطفاً کد اتاق را بررسی کنید.';
+    return data.message || fallback;
+  };
+
+  // CREATE_ROOM fields for the selected rules and map (a map sets the grid size itself)
+  const getRoomRulesPayload = () => {
+    const payload = mapChoice ? { map: mapChoice } : {};
+    if (rulesChoice === CUSTOM_RULES) {
+      const rules = buildCustomRules(customRules);
+      if (mapChoice) delete rules.gridSize;
+      return { ...payload, rules };
+    }
+    if (rulesChoice) return { ...payload, preset: rulesChoice };
+    return payload;
+  };
+
+  // vsAI: the server seats a bot as player2 instead of waiting for a second player
+  const createRoom = async (vsAI = false) => {
+    const namePayload = getNamePayload();
+    if (!namePayload) return;
+
+    const setBusy = vsAI ? setIsCreatingAI : setIsCreating;
+    setBusy(true);
+    logger.info(vsAI ? `Creating room vs AI (${aiDifficulty})...` : 'Creating new room...');
     try {
-      const ws = new WebSocket(WS_URL);
+      const ws = new WebSocket(withSessionToken(WS_URL));
       
       ws.onopen = () => {
         logger.websocket('WebSocket connected');
         ws.send(JSON.stringify({
-          type: MESSAGE_TYPES.CREATE_ROOM
+          type: MESSAGE_TYPES.CREATE_ROOM,
+          ...getRoomRulesPayload(),
+          ...namePayload,
+          ...(isPublicRoom && { public: true }),
+          ...(vsAI && { vsAI: true, difficulty: aiDifficulty })
         }));
       };
 
@@ -46,37 +294,112 @@ export default function MenuFA({ onStartGame }) {
         logger.websocket('Received message:', data.type);
         if (data.type === MESSAGE_TYPES.ROOM_UPDATE) {
           logger.info(`Room created: ${data.roomId}, Player: ${data.playerId}`);
-          onStartGame(data.roomId, data.playerId, ws);
+          onStartGame(data.roomId, data.playerId, ws, data.resumeToken, { config: data.config, rules: data.rules, playerNames: data.playerNames });
+        } else if (data.type === MESSAGE_TYPES.ERROR) {
+          // Rejected name or preset/custom rules, rules details are "path: problem" lines
+          logger.error('Create room error:', data.message, data.details);
+          alert(describeError(data, 'خطا در ایجاد اتاق'));
+          setBusy(false);
+          ws.close();
         }
       };
 
       ws.onerror = (error) => {
         logger.error('WebSocket error:', error);
-        setIsCreating(false);
+        setBusy(false);
       };
     } catch (error) {
       logger.error('Error creating room:', error);
-      setIsCreating(false);
+      setBusy(false);
     }
   };
 
-  const joinRoom = async () => {
-    if (!roomId.trim()) {
+  // Quick match: the server pairs us with the next player who picks the same preset and map
+  const joinQueue = () => {
+    if (rulesChoice === CUSTOM_RULES) {
+      alert(faTexts.quickMatch.customRules);
+      return;
+    }
+    const namePayload = getNamePayload();
+    if (!namePayload) return;
+
+    logger.info('Joining quick-match queue...');
+    setQueueStatus({ position: null, queueSize: null, estimatedWaitSeconds: null });
+    try {
+      const ws = new WebSocket(withSessionToken(WS_URL));
+      queueSocketRef.current = ws;
+
+      ws.onopen = () => {
+        logger.websocket('WebSocket connected');
+        ws.send(JSON.stringify({
+          type: MESSAGE_TYPES.JOIN_QUEUE,
+          ...getRoomRulesPayload(),
+          ...namePayload
+        }));
+      };
+
+      ws.onmessage = (event) => {
+        const data = JSON.parse(event.data);
+        logger.websocket('Received message:', data.type);
+        if (data.type === MESSAGE_TYPES.QUEUE_STATUS && data.queued) {
+          setQueueStatus(data);
+        } else if (data.type === MESSAGE_TYPES.ROOM_UPDATE) {
+          // Matched: the room starts exactly like a created or joined one
+          logger.info(`Quick match found: ${data.roomId}, Player: ${data.playerId}`);
+          queueSocketRef.current = null;
+          onStartGame(data.roomId, data.playerId, ws, data.resumeToken, { config: data.config, rules: data.rules, playerNames: data.playerNames });
+        } else if (data.type === MESSAGE_TYPES.ERROR) {
+          logger.error('Quick match error:', data.message, data.details);
+          alert(describeError(data, 'خطا در بازی سریع'));
+          leaveQueue();
+        }
+      };
+
+      ws.onclose = () => {
+        if (queueSocketRef.current === ws) {
+          queueSocketRef.current = null;
+          setQueueStatus(null);
+        }
+      };
+    } catch (error) {
+      logger.error('Error joining quick-match queue:', error);
+      setQueueStatus(null);
+    }
+  };
+
+  const leaveQueue = () => {
+    const ws = queueSocketRef.current;
+    queueSocketRef.current = null;
+    setQueueStatus(null);
+    if (!ws) return;
+    logger.info('Leaving quick-match queue');
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: MESSAGE_TYPES.LEAVE_QUEUE }));
+    }
+    ws.close();
+  };
+
+  // `code` defaults to the code typed in; lobby rows pass their own
+  const joinRoom = async (code = roomId) => {
+    if (!code.trim()) {
       logger.warn('Room ID is empty');
       alert('لطفاً کد اتاق را وارد کنید');
       return;
     }
+    const namePayload = getNamePayload();
+    if (!namePayload) return;
 
     setIsJoining(true);
-    logger.info(`Joining room: ${roomId.trim()}`);
+    logger.info(`Joining room: ${code.trim()}`);
     try {
-      const ws = new WebSocket(WS_URL);
+      const ws = new WebSocket(withSessionToken(WS_URL));
       
       ws.onopen = () => {
         logger.websocket('WebSocket connected');
         ws.send(JSON.stringify({
           type: MESSAGE_TYPES.JOIN_ROOM,
-          roomId: roomId.trim()
+          roomId: code.trim(),
+          ...namePayload
         }));
       };
 
@@ -85,13 +408,10 @@ export default function MenuFA({ onStartGame }) {
         logger.websocket('Received message:', data.type);
         if (data.type === MESSAGE_TYPES.ROOM_UPDATE) {
           logger.info(`Joined room: ${data.roomId}, Player: player2`);
-          onStartGame(data.roomId, 'player2', ws);
+          onStartGame(data.roomId, 'player2', ws, data.resumeToken, { config: data.config, rules: data.rules, playerNames: data.playerNames });
         } else if (data.type === MESSAGE_TYPES.ERROR) {
           logger.error('Join room error:', data.message);
-          const errorMsg = data.message === 'Room not found' 
-            ? 'اتاق پیدا نشد. لطفاً کد اتاق را بررسی کنید.' 
-            : (data.message || 'خطا در اتصال به اتاق');
-          alert(errorMsg);
+          alert(describeError(data, 'خطا در اتصال به اتاق'));
           setIsJoining(false);
           ws.close();
         }
@@ -107,19 +427,300 @@ export default function MenuFA({ onStartGame }) {
     }
   };
 
+  // Watch a live room read-only; its events keep arriving on the socket
+  const spectateRoom = (code = roomId) => {
+    if (!code.trim()) {
+      logger.warn('Room ID is empty');
+      alert('لطفاً کد اتاق را وارد کنید');
+      return;
+    }
+
+    setIsSpectating(true);
+    logger.info(`Spectating room: ${code.trim()}`);
+    try {
+      const ws = new WebSocket(withSessionToken(WS_URL));
+      let replayPlayer = null;
+
+      ws.onopen = () => {
+        logger.websocket('WebSocket connected');
+        ws.send(JSON.stringify({
+          type: MESSAGE_TYPES.SPECTATE_ROOM,
+          roomId: code.trim().toUpperCase()
+        }));
+      };
+
+      ws.onmessage = (event) => {
+        const data = JSON.parse(event.data);
+        logger.websocket('Received message:', data.type);
+        if (data.type === MESSAGE_TYPES.ROOM_UPDATE && data.spectator) {
+          logger.info(`Spectating room: ${data.roomId} (delay ${data.delayTurns} turns)`);
+          replayPlayer = new ReplayPlayer(data.replay);
+          onStartSpectating(data.roomId, ws, replayPlayer, { config: data.config, rules: data.rules, playerNames: data.playerNames, delayTurns: data.delayTurns });
+        } else if (data.type === MESSAGE_TYPES.SPECTATOR_EVENTS && replayPlayer) {
+          // Arrived before the game scene took over the socket
+          replayPlayer.appendEvents(data.events);
+        } else if (data.type === MESSAGE_TYPES.ERROR) {
+          logger.error('Spectate room error:', data.message);
+          alert(describeError(data, 'خطا در اتصال به اتاق'));
+          setIsSpectating(false);
+          ws.close();
+        }
+      };
+
+      ws.onerror = (error) => {
+        logger.error('WebSocket error:', error);
+        setIsSpectating(false);
+      };
+    } catch (error) {
+      logger.error('Error spectating room:', error);
+      setIsSpectating(false);
+    }
+  };
+
+  const startReplay = (replay) => {
+    try {
+      onStartReplay(new ReplayPlayer(replay));
+    } catch (error) {
+      logger.error('Invalid replay:', error.message);
+      alert(faTexts.replay.invalidFile);
+      setIsLoadingReplay(false);
+    }
+  };
+
+  // Replay of a finished match, fetched from the server by room code
+  const watchReplay = async () => {
+    if (!roomId.trim()) {
+      logger.warn('Room ID is empty');
+      alert('لطفاً کد اتاق را وارد کنید');
+      return;
+    }
+
+    setIsLoadingReplay(true);
+    logger.info(`Loading replay for room: ${roomId.trim()}`);
+    try {
+      const res = await fetch(`${API_URL}/replays/${encodeURIComponent(roomId.trim().toUpperCase())}`);
+      if (!res.ok) {
+        logger.warn(`Replay not found (HTTP ${res.status})`);
+        alert(faTexts.replay.notFound);
+        setIsLoadingReplay(false);
+        return;
+      }
+      startReplay(await res.json());
+    } catch (error) {
+      logger.error('Error loading replay:', error);
+      alert(faTexts.replay.notFound);
+      setIsLoadingReplay(false);
+    }
+  };
+
+  // Replay from a downloaded JSON file
+  const loadReplayFile = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setIsLoadingReplay(true);
+    logger.info(`Loading replay file: ${file.name}`);
+    file.text()
+      .then(text => startReplay(JSON.parse(text)))
+      .catch(error => {
+        logger.error('Error reading replay file:', error);
+        alert(faTexts.replay.invalidFile);
+        setIsLoadingReplay(false);
+      });
+  };
+
+  const isBusy = isCreating || isCreatingAI || isJoining || isSpectating || isLoadingReplay || isQueued;
+
   return (
     <div style={styles.container}>
       <div style={styles.menu}>
         <h1 style={styles.title}>{faTexts.menu.title}</h1>
         
+        {account ? (
+          <div style={styles.accountSection}>
+            <div style={styles.accountRow}>
+              <span>{faTexts.account.signedInAs}: <strong dir="ltr">{account.username}</strong></span>
+              <button style={styles.lobbyButton} onClick={signOut} disabled={isBusy}>
+                {faTexts.account.logout}
+              </button>
+            </div>
+            {matchHistory.length > 0 && (
+              <div style={styles.matchHistory}>
+                <div style={styles.matchHistoryTitle}>{faTexts.account.history}</div>
+                {matchHistory.map(match => (
+                  <div key={`${match.roomId}-${match.finishedAt}`} style={match.won ? styles.matchWon : styles.matchLost}>
+                    {describeMatch(match)}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ) : (
+          <div style={styles.accountSection}>
+            <div style={styles.accountRow}>
+              <input
+                type="text"
+                placeholder={faTexts.account.username}
+                value={accountForm.username}
+                onChange={(e) => setAccountForm(prev => ({ ...prev, username: e.target.value }))}
+                style={styles.accountInput}
+                disabled={isBusy || isAccountBusy}
+                dir="ltr"
+              />
+              <input
+                type="password"
+                placeholder={faTexts.account.password}
+                value={accountForm.password}
+                onChange={(e) => setAccountForm(prev => ({ ...prev, password: e.target.value }))}
+                style={styles.accountInput}
+                disabled={isBusy || isAccountBusy}
+                dir="ltr"
+              />
+            </div>
+            <div style={styles.accountRow}>
+              <button style={styles.lobbyButton} onClick={() => signIn(false)} disabled={isBusy || isAccountBusy}>
+                {faTexts.account.login}
+              </button>
+              <button style={styles.lobbyButton} onClick={() => signIn(true)} disabled={isBusy || isAccountBusy}>
+                {faTexts.account.register}
+              </button>
+            </div>
+          </div>
+        )}
+        
+        <input
+          type="text"
+          placeholder={faTexts.player.displayName}
+          value={displayName}
+          maxLength={MAX_DISPLAY_NAME_LENGTH}
+          onChange={(e) => setDisplayName(e.target.value)}
+          style={styles.input}
+          disabled={isBusy}
+        />
+        
+        <div style={styles.rulesSection}>
+          {maps.length > 0 && (
+            <label style={styles.label}>
+              {faTexts.rules.map}:
+              <select
+                value={mapChoice}
+                onChange={(e) => setMapChoice(e.target.value)}
+                style={styles.select}
+                disabled={isBusy}
+              >
+                <option value="">{faTexts.rules.noMap}</option>
+                {maps.map(map => (
+                  <option key={map.id} value={map.id}>{map.titleFA} ({map.gridSize}×{map.gridSize})</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label style={styles.label}>
+            {faTexts.rules.label}:
+            <select
+              value={rulesChoice}
+              onChange={(e) => setRulesChoice(e.target.value)}
+              style={styles.select}
+              disabled={isBusy}
+            >
+              <option value="">{faTexts.rules.standard}</option>
+              {presets.map(preset => (
+                <option key={preset.id} value={preset.id}>{preset.titleFA}</option>
+              ))}
+              <option value={CUSTOM_RULES}>{faTexts.rules.custom}</option>
+            </select>
+          </label>
+          {rulesChoice === CUSTOM_RULES && (
+            <div style={styles.customRules}>
+              {Object.keys(customRules).filter(key => !(mapChoice && key === 'gridSize')).map(key => (
+                <label key={key} style={styles.customRuleField}>
+                  {faTexts.rules[key]}
+                  <input
+                    type="number"
+                    min="1"
+                    value={customRules[key]}
+                    onChange={(e) => setCustomRules(prev => ({ ...prev, [key]: e.target.value }))}
+                    style={styles.customRuleInput}
+                    disabled={isBusy}
+                    dir="ltr"
+                  />
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div style={styles.publicSection}>
+          <label style={styles.label}>
+            <input
+              type="checkbox"
+              checked={isPublicRoom}
+              onChange={(e) => setIsPublicRoom(e.target.checked)}
+              style={styles.checkbox}
+              disabled={isBusy}
+            />
+            {faTexts.lobby.publicRoom}
+          </label>
+        </div>
+
         <button
           style={styles.button}
-          onClick={createRoom}
-          disabled={isCreating || isJoining}
+          onClick={() => createRoom()}
+          disabled={isBusy}
         >
           {isCreating ? 'در حال ایجاد...' : faTexts.menu.createGame}
         </button>
 
+        {isQueued ? (
+          <div style={styles.queuePanel}>
+            <div style={styles.queueTitle}>{faTexts.quickMatch.searching}</div>
+            {queueStatus.position && (
+              <div>{faTexts.quickMatch.position}: {queueStatus.position} / {queueStatus.queueSize}</div>
+            )}
+            <div>{faTexts.quickMatch.waited}: {formatWait(queueElapsed)}</div>
+            <div>
+              {faTexts.quickMatch.estimatedWait}: {queueStatus.estimatedWaitSeconds !== null
+                ? formatWait(queueStatus.estimatedWaitSeconds)
+                : faTexts.quickMatch.unknownWait}
+            </div>
+            <button style={styles.button} onClick={leaveQueue}>
+              {faTexts.buttons.cancel}
+            </button>
+          </div>
+        ) : (
+          <button
+            style={styles.button}
+            onClick={joinQueue}
+            disabled={isBusy}
+          >
+            {faTexts.menu.quickMatch}
+          </button>
+        )}
+
+        <div style={styles.aiSection}>
+          <label style={styles.label}>
+            {faTexts.menu.difficulty}:
+            <select
+              value={aiDifficulty}
+              onChange={(e) => changeAIDifficulty(e.target.value)}
+              style={styles.select}
+              disabled={isBusy}
+            >
+              <option value="easy">{faTexts.menu.difficultyEasy}</option>
+              <option value="normal">{faTexts.menu.difficultyNormal}</option>
+              <option value="hard">{faTexts.menu.difficultyHard}</option>
+            </select>
+          </label>
+          <button
+            style={styles.button}
+            onClick={() => createRoom(true)}
+            disabled={isBusy}
+          >
+            {isCreatingAI ? 'در حال ایجاد...' : faTexts.menu.playVsAI}
+          </button>
+        </div>
+
         <div style={styles.joinSection}>
           <input
             type="text"
@@ -131,11 +732,62 @@ export default function MenuFA({ onStartGame }) {
           />
           <button
             style={styles.button}
-            onClick={joinRoom}
-            disabled={isCreating || isJoining}
+            onClick={() => joinRoom()}
+            disabled={isBusy}
           >
             {isJoining ? 'در حال اتصال...' : faTexts.menu.joinGame}
           </button>
+          <button
+            style={styles.button}
+            onClick={() => spectateRoom()}
+            disabled={isBusy}
+          >
+            {isSpectating ? 'در حال اتصال...' : faTexts.menu.spectate}
+          </button>
+          <button
+            style={styles.button}
+            onClick={watchReplay}
+            disabled={isBusy}
+          >
+            {faTexts.menu.watchReplay}
+          </button>
+          <button
+            style={styles.button}
+            onClick={() => replayFileInputRef.current?.click()}
+            disabled={isBusy}
+          >
+            {faTexts.menu.loadReplayFile}
+          </button>
+          <input
+            ref={replayFileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={loadReplayFile}
+            style={{ display: 'none' }}
+          />
+        </div>
+
+        <div style={styles.lobbySection}>
+          <h2 style={styles.lobbyTitle}>{faTexts.lobby.title}</h2>
+          {publicRooms.length === 0 && (
+            <div style={styles.lobbyEmpty}>{faTexts.lobby.empty}</div>
+          )}
+          {publicRooms.map(room => (
+            <div key={room.roomId} style={styles.lobbyRow}>
+              <div style={styles.lobbyInfo}>
+                <strong>{room.hostName || faTexts.lobby.unnamedHost}</strong>
+                <span style={styles.lobbyDetails}>{describeLobbyRoom(room)}</span>
+              </div>
+              {/* Full rooms can still be watched */}
+              <button
+                style={styles.lobbyButton}
+                onClick={() => (room.joinable ? joinRoom(room.roomId) : spectateRoom(room.roomId))}
+                disabled={isBusy}
+              >
+                {room.joinable ? faTexts.lobby.join : faTexts.lobby.watch}
+              </button>
+            </div>
+          ))}
         </div>
         
         <div style={styles.version}>نسخه: v{version}</div>
@@ -194,6 +846,160 @@ const styles = {
   joinSection: {
     marginTop: '2rem',
   },
+  aiSection: {
+    marginTop: '1rem',
+  },
+  publicSection: {
+    marginBottom: '0.5rem',
+  },
+  queuePanel: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '0.3rem',
+    padding: '1rem 1rem 0',
+    marginBottom: '1rem',
+    border: '2px solid #ffd700',
+    borderRadius: '8px',
+    color: '#fff',
+  },
+  queueTitle: {
+    color: '#ffd700',
+    fontWeight: 'bold',
+  },
+  checkbox: {
+    marginLeft: '0.5rem',
+  },
+  accountSection: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '0.5rem',
+    marginBottom: '1rem',
+    color: '#fff',
+  },
+  accountRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '0.5rem',
+  },
+  accountInput: {
+    flex: 1,
+    minWidth: 0,
+    padding: '0.5rem',
+    fontSize: '1rem',
+    background: '#1c1f22',
+    color: '#fff',
+    border: '2px solid #3f5765',
+    borderRadius: '8px',
+    textAlign: 'center',
+    fontFamily: 'inherit',
+  },
+  matchHistory: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '0.2rem',
+    fontSize: '0.9rem',
+    textAlign: 'right',
+  },
+  matchHistoryTitle: {
+    color: '#ffd700',
+    fontWeight: 'bold',
+  },
+  matchWon: {
+    color: '#7fd67f',
+  },
+  matchLost: {
+    color: '#ff8080',
+  },
+  lobbySection: {
+    marginTop: '1.5rem',
+    maxHeight: '240px',
+    overflowY: 'auto',
+  },
+  lobbyTitle: {
+    fontSize: '1.3rem',
+    color: '#ffd700',
+    marginBottom: '0.5rem',
+  },
+  lobbyEmpty: {
+    color: '#ccc',
+    fontSize: '0.9rem',
+  },
+  lobbyRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '0.5rem',
+    padding: '0.5rem',
+    marginBottom: '0.5rem',
+    background: '#1c1f22',
+    border: '1px solid #3f5765',
+    borderRadius: '8px',
+    color: '#fff',
+  },
+  lobbyInfo: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'flex-start',
+    gap: '0.2rem',
+    textAlign: 'right',
+  },
+  lobbyDetails: {
+    color: '#ccc',
+    fontSize: '0.85rem',
+  },
+  lobbyButton: {
+    padding: '0.4rem 1rem',
+    fontSize: '1rem',
+    background: '#3f5765',
+    color: '#fff',
+    border: '1px solid #ffd700',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontFamily: 'inherit',
+  },
+  rulesSection: {
+    marginBottom: '1rem',
+  },
+  customRules: {
+    display: 'grid',
+    gridTemplateColumns: '1fr 1fr',
+    gap: '0.5rem',
+    marginTop: '0.5rem',
+  },
+  customRuleField: {
+    display: 'flex',
+    flexDirection: 'column',
+    color: '#ccc',
+    fontSize: '0.85rem',
+    gap: '0.2rem',
+  },
+  customRuleInput: {
+    padding: '0.3rem',
+    fontSize: '1rem',
+    background: '#1c1f22',
+    color: '#fff',
+    border: '2px solid #3f5765',
+    borderRadius: '8px',
+    textAlign: 'center',
+    fontFamily: 'inherit',
+  },
+  label: {
+    display: 'block',
+    marginBottom: '0.5rem',
+    color: '#fff',
+    fontSize: '1rem',
+  },
+  select: {
+    marginRight: '0.5rem',
+    padding: '0.3rem 0.6rem',
+    fontSize: '1rem',
+    background: '#1c1f22',
+    color: '#fff',
+    border: '2px solid #3f5765',
+    borderRadius: '8px',
+    fontFamily: 'inherit',
+  },
   input: {
     width: '100%',
     padding: '0.8rem',
@@ -1,8 +1,10 @@
 import { GRID_TILE_SIZE, GRID_OFFSET_X, GRID_OFFSET_Y } from '@shared/constants.js';
 
 export class Explosion {
-  constructor(scene, gridX, gridY, explosionType = 'default', config = null) {
+  // offsetX selects the board (defaults to the left/player grid)
+  constructor(scene, gridX, gridY, explosionType = 'default', config = null, offsetX = GRID_OFFSET_X) {
     this.scene = scene;
+    this.offsetX = offsetX;
     this.gridX = gridX;
     this.gridY = gridY;
     this.explosionType = explosionType;
@@ -11,7 +13,7 @@ export class Explosion {
   }
 
   play() {
-    const x = GRID_OFFSET_X + this.gridX * GRID_TILE_SIZE + GRID_TILE_SIZE / 2;
+    const x = this.offsetX + this.gridX * GRID_TILE_SIZE + GRID_TILE_SIZE / 2;
     const y = GRID_OFFSET_Y + this.gridY * GRID_TILE_SIZE + GRID_TILE_SIZE / 2;
     
     // Try to use explosion sprites from config if available
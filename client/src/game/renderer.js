@@ -1,6 +1,9 @@
 import Phaser from 'phaser';
 import { GRID_TILE_SIZE, GRID_OFFSET_X, GRID_OFFSET_Y } from '@shared/constants.js';
 import { GAME_PHASES, MESSAGE_TYPES } from '@shared/types.js';
+import { TerrainGrid } from '@shared/terrain.js';
+import { DeploymentZone } from '@shared/deployment.js';
+import { getUnitSize } from '@shared/utils.js';
 import { PathDrawer } from './pathDrawer.js';
 import { UnitPlacement } from './unitPlacement.js';
 import { ManaBar } from './manaBar.js';
@@ -9,6 +12,10 @@ import { AudioController } from './audioController.js';
 import faTexts from '../i18n/fa.json';
 import logger from '@shared/logger.js';
 
+const REPLAY_STEP_DELAY_MS = 800; // Pause between replay steps at 1x speed
+const HEALTH_BAR_HEIGHT = 4;
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
 export class GameRenderer extends Phaser.Scene {
   constructor() {
     super({ key: 'GameRenderer' });
@@ -42,6 +49,7 @@ export class GameRenderer extends Phaser.Scene {
     this.gameState = initData.gameState || this.gameState;
     this.onNotification = initData.onNotification || this.onNotification || (() => {});
     this.onPhaseChange = initData.onPhaseChange || this.onPhaseChange || (() => {});
+    this.onPlayerNamesChange = initData.onPlayerNamesChange || this.onPlayerNamesChange || (() => {});
     
     // Log full config to debug
     logger.info('Config received in init:', {
@@ -56,8 +64,13 @@ export class GameRenderer extends Phaser.Scene {
     });
     
     this.gridSize = this.config.gridSize;
+    // Mountains, forests, water and map structures; both boards share the layout
+    this.terrain = new TerrainGrid(this.config.terrain, this.gridSize, this.config.structures);
+    // Where this player may build (whole board unless the map sets zones)
+    this.deploymentZone = DeploymentZone.forPlayer(this.config, this.gameState.playerId);
     this.playerUnits = { launchers: [], defenses: [] };
     this.opponentUnits = { launchers: [], defenses: [] };
+    this.exploredTiles = new Set(); // Opponent tiles ("x,y") hit by our missiles (from server)
     this.destroyedLaunchersHighlight = null; // Graphics object for highlighting destroyed launchers in opponent grid
     this.currentPhase = GAME_PHASES.WAITING; // Start in WAITING, will be set to BUILD when server sends BUILD_PHASE_STATE
     // Use budgets from config
@@ -84,6 +97,21 @@ export class GameRenderer extends Phaser.Scene {
     this.battleTurnTimer = null;
     this.battleTurnTimerText = null;
     this.turnTimeSeconds = this.config.battle?.turnTimeSeconds || 20;
+    this.turnDeadline = null; // Server-owned deadline (epoch ms, server clock)
+    this.serverClockOffset = 0; // serverTime - Date.now() when deadline was received
+    this.buildDeadline = null; // Server-owned build phase deadline (epoch ms, server clock)
+    // Replay mode: set when watching a recorded match instead of playing
+    this.replayPlayer = initData.replayPlayer || null;
+    this.replayPlaying = false;
+    this.replayAnimating = false;
+    this.replaySpeed = 1;
+    this.replayTimer = null;
+    // Spectating a live room: replay mode that follows the match as its events arrive
+    this.spectating = this.gameState?.spectator === true;
+    // Display names by seat (null until known or when a player gave none)
+    this.playerNames = this.replayPlayer
+      ? this.replayPlayer.getPlayerNames()
+      : { player1: null, player2: null, ...this.gameState?.playerNames };
     
     logger.info('GameRenderer initialized', { 
       gridSize: this.gridSize, 
@@ -186,6 +214,12 @@ export class GameRenderer extends Phaser.Scene {
     // Setup grid
     this.setupGrid();
     
+    // Replays only need the boards and playback controls (no build/battle UI or input)
+    if (this.replayPlayer) {
+      this.setupReplay();
+      return;
+    }
+    
     // Setup UI
     this.setupUI();
     
@@ -394,6 +428,10 @@ export class GameRenderer extends Phaser.Scene {
     this.opponentGrid = this.add.graphics();
     this.drawGrid(this.opponentGrid, opponentOffsetX, offsetY, this.gridSize, tileSize, 0x2b3a42);
     
+    // Tiles outside our deployment zone, shaded during the build phase only
+    this.deploymentOverlay = this.add.graphics();
+    this.drawDeploymentOverlay(this.deploymentOverlay, offsetX, offsetY, tileSize);
+    
     // Draw separator line between grids
     const separatorGraphics = this.add.graphics();
     separatorGraphics.lineStyle(separatorWidth, 0xffd700, 0.8);
@@ -401,20 +439,80 @@ export class GameRenderer extends Phaser.Scene {
     separatorGraphics.lineTo(offsetX + (this.gridSize * tileSize), offsetY + (this.gridSize * tileSize));
     separatorGraphics.setDepth(10);
     
-    // Grid labels with proper margin
-    this.add.text(offsetX + (this.gridSize * tileSize) / 2, offsetY - 50, faTexts.game.playerField, {
+    // Grid labels with proper margin (texts set by updateFieldLabels once names are known)
+    this.playerFieldLabel = this.add.text(offsetX + (this.gridSize * tileSize) / 2, offsetY - 50, '', {
       fontSize: '20px',
       color: '#ffd700',
       fontFamily: 'Vazirmatn, Tahoma',
       padding: { x: 10, y: 5 }
     }).setOrigin(0.5).setDepth(100);
     
-    this.add.text(opponentOffsetX + (this.gridSize * tileSize) / 2, offsetY - 50, faTexts.game.opponentField, {
+    this.opponentFieldLabel = this.add.text(opponentOffsetX + (this.gridSize * tileSize) / 2, offsetY - 50, '', {
       fontSize: '20px',
       color: '#ffd700',
       fontFamily: 'Vazirmatn, Tahoma',
       padding: { x: 10, y: 5 }
     }).setOrigin(0.5).setDepth(100);
+    this.updateFieldLabels();
+  }
+
+  // Board titles, with the players' display names when they gave one.
+  // In a replay both boards are shown fully: player1 on the left, player2 on the right
+  getFieldLabels() {
+    const { player1, player2 } = this.playerNames;
+    if (this.replayPlayer) {
+      return {
+        player: player1 ? `${faTexts.player.fieldOf} ${player1}` : faTexts.replay.player1Field,
+        opponent: player2 ? `${faTexts.player.fieldOf} ${player2}` : faTexts.replay.player2Field
+      };
+    }
+    const isPlayer1 = this.gameState?.playerId === 'player1';
+    const ownName = isPlayer1 ? player1 : player2;
+    const opponentName = isPlayer1 ? player2 : player1;
+    return {
+      player: ownName ? `${faTexts.game.playerField} (${ownName})` : faTexts.game.playerField,
+      opponent: opponentName ? `${faTexts.player.fieldOf} ${opponentName}` : faTexts.game.opponentField
+    };
+  }
+
+  updateFieldLabels() {
+    if (!this.playerFieldLabel) return;
+    const labels = this.getFieldLabels();
+    this.playerFieldLabel.setText(labels.player);
+    this.opponentFieldLabel.setText(labels.opponent);
+  }
+
+  // `playerNames` from ROOM_UPDATE / BATTLE_STATE / GAME_OVER or the replay's
+  // events; the labels and the HUD only change when a name did
+  setPlayerNames(playerNames) {
+    if (!playerNames) return;
+    const names = { player1: playerNames.player1 ?? null, player2: playerNames.player2 ?? null };
+    if (names.player1 === this.playerNames?.player1 && names.player2 === this.playerNames?.player2) return;
+    this.playerNames = names;
+    this.updateFieldLabels();
+    this.onPlayerNamesChange(names);
+  }
+
+  drawDeploymentOverlay(graphics, x, y, tileSize) {
+    graphics.clear();
+    // Nothing to shade without a zone, or when resuming straight into the battle
+    if (!this.deploymentZone || this.deploymentZone.unrestricted ||
+        this.currentPhase === GAME_PHASES.BATTLE || this.currentPhase === GAME_PHASES.GAME_OVER) {
+      return;
+    }
+    
+    for (let row = 0; row < this.gridSize; row++) {
+      for (let col = 0; col < this.gridSize; col++) {
+        if (this.deploymentZone.contains(col, row)) continue;
+        const tileX = x + col * tileSize;
+        const tileY = y + row * tileSize;
+        graphics.fillStyle(0x000000, 0.5);
+        graphics.fillRect(tileX, tileY, tileSize, tileSize);
+        // Hatching, so shaded tiles don't read as dark terrain
+        graphics.lineStyle(1, 0xff4444, 0.35);
+        graphics.lineBetween(tileX, tileY + tileSize, tileX + tileSize, tileY);
+      }
+    }
   }
 
   drawGrid(graphics, x, y, size, tileSize, color) {
@@ -438,6 +536,38 @@ export class GameRenderer extends Phaser.Scene {
       }
     }
     
+    // Terrain tiles on top of the checkerboard
+    this.terrain?.getTiles().forEach(tile => {
+      if (!tile.properties.color) return;
+      graphics.fillStyle(Phaser.Display.Color.HexStringToColor(tile.properties.color).color, 0.85);
+      graphics.fillRect(
+        x + tile.x * tileSize,
+        y + tile.y * tileSize,
+        tileSize,
+        tileSize
+      );
+    });
+    
+    // Neutral structures from the map, inset so they read as objects rather than ground
+    this.terrain?.structures.forEach(structure => {
+      const [sizeX, sizeY] = structure.size || [1, 1];
+      const inset = 4;
+      graphics.fillStyle(Phaser.Display.Color.HexStringToColor(structure.color || '#8a8a7a').color, 1);
+      graphics.fillRect(
+        x + structure.x * tileSize + inset,
+        y + structure.y * tileSize + inset,
+        sizeX * tileSize - inset * 2,
+        sizeY * tileSize - inset * 2
+      );
+      graphics.lineStyle(2, 0x000000, 0.6);
+      graphics.strokeRect(
+        x + structure.x * tileSize + inset,
+        y + structure.y * tileSize + inset,
+        sizeX * tileSize - inset * 2,
+        sizeY * tileSize - inset * 2
+      );
+    });
+    
     // Draw grid lines (more visible)
     graphics.lineStyle(2, color, 0.8);
     
@@ -473,9 +603,17 @@ export class GameRenderer extends Phaser.Scene {
       fontFamily: 'Vazirmatn, Tahoma'
     }).setOrigin(0.5, 0).setDepth(100); // Center horizontally
     
+    // Build controls hint under the player's grid (only shown in build phase)
+    this.buildHintText = this.add.text(GRID_OFFSET_X + gridWidth / 2, GRID_OFFSET_Y + gridWidth + 10, faTexts.game.buildHint, {
+      fontSize: '13px',
+      color: '#cccccc',
+      fontFamily: 'Vazirmatn, Tahoma'
+    }).setOrigin(0.5, 0).setDepth(100);
+    
     // Hide build budget in battle phase
     if (this.currentPhase === GAME_PHASES.BATTLE) {
       this.buildBudgetText.setVisible(false);
+      this.buildHintText.setVisible(false);
     }
     
     // Baroot display for battle phase - positioned on right side, above FIRE button
@@ -811,7 +949,7 @@ export class GameRenderer extends Phaser.Scene {
   }
 
   setupInput() {
-    // Build phase - click to place units
+    // Build phase - click to place units, drag placed units to move them
     this.input.on('pointerdown', (pointer) => {
       this.isPointerDown = true; // Track pointer down state
       if (this.currentPhase === GAME_PHASES.BUILD) {
@@ -824,7 +962,9 @@ export class GameRenderer extends Phaser.Scene {
     // Battle phase - drag for path drawing
     // Use pointermove with manual tracking
     this.input.on('pointermove', (pointer) => {
-      if (this.currentPhase === GAME_PHASES.BATTLE) {
+      if (this.currentPhase === GAME_PHASES.BUILD) {
+        this.unitPlacement.handlePointerMove(pointer);
+      } else if (this.currentPhase === GAME_PHASES.BATTLE) {
         // Disabled: Too verbose - logs every pointer move
         // logger.info('Pointer move in battle phase', {
         //   pointerX: pointer.x,
@@ -865,11 +1005,20 @@ export class GameRenderer extends Phaser.Scene {
     
     this.input.on('pointerup', (pointer) => {
       this.isPointerDown = false; // Reset pointer down state
-      if (this.currentPhase === GAME_PHASES.BATTLE && this.aimingMode) {
+      if (this.currentPhase === GAME_PHASES.BUILD) {
+        this.unitPlacement.handlePointerUp(pointer);
+      } else if (this.currentPhase === GAME_PHASES.BATTLE && this.aimingMode) {
         this.handleBattlePointerUp(pointer);
       }
     });
     
+    // Build phase shortcuts: rotate, delete, undo/redo (see UnitPlacement.handleKeyDown)
+    this.input.keyboard?.on('keydown', (event) => {
+      if (this.currentPhase === GAME_PHASES.BUILD && this.unitPlacement) {
+        this.unitPlacement.handleKeyDown(event);
+      }
+    });
+    
     // F key to fire (only in aiming mode)
     this.input.keyboard?.on('keydown-F', () => {
       if (this.aimingMode && this.currentPhase === GAME_PHASES.BATTLE && 
@@ -893,7 +1042,7 @@ export class GameRenderer extends Phaser.Scene {
     const launcherConfig = this.config.launchers.find(c => c.id === launcher.type);
     if (!launcherConfig) return false;
     
-    const [sizeX, sizeY] = launcherConfig.size;
+    const [sizeX, sizeY] = getUnitSize(launcherConfig, launcher.rotated);
     return tileX >= launcher.x && tileX < launcher.x + sizeX &&
            tileY >= launcher.y && tileY < launcher.y + sizeY;
   }
@@ -903,7 +1052,7 @@ export class GameRenderer extends Phaser.Scene {
     const launcherConfig = this.config.launchers.find(c => c.id === launcher.type);
     if (!launcherConfig) return null;
     
-    const [sizeX, sizeY] = launcherConfig.size;
+    const [sizeX, sizeY] = getUnitSize(launcherConfig, launcher.rotated);
     
     // Check if click is inside launcher area
     const isInsideLauncher = this.isTileInLauncherArea(clickX, clickY, launcher);
@@ -1035,6 +1184,7 @@ export class GameRenderer extends Phaser.Scene {
             type: u.launcherType,
             x: u.x,
             y: u.y,
+            rotated: u.rotated,
             destroyed: false
           }));
         allLaunchers.push(...placedLaunchers);
@@ -1072,7 +1222,7 @@ export class GameRenderer extends Phaser.Scene {
             logger.info('Launcher config not found', { launcherType: l.type });
             return false;
           }
-          const [sizeX, sizeY] = config.size;
+          const [sizeX, sizeY] = getUnitSize(config, l.rotated);
           const isOnLauncher = gridX >= l.x && gridX < l.x + sizeX &&
                  gridY >= l.y && gridY < l.y + sizeY;
           
@@ -1412,7 +1562,7 @@ export class GameRenderer extends Phaser.Scene {
       const launcherConfig = this.config.launchers.find(c => c.id === this.selectedLauncherForShots.type);
       if (!launcherConfig) return;
       
-      const [sizeX, sizeY] = launcherConfig.size;
+      const [sizeX, sizeY] = getUnitSize(launcherConfig, this.selectedLauncherForShots.rotated);
       const launcher = this.selectedLauncherForShots;
       
       // Check if tile is adjacent to launcher (8 directions)
@@ -1495,7 +1645,7 @@ export class GameRenderer extends Phaser.Scene {
           const firstTile = this.currentPathTiles[0];
           const launcherConfig = this.config.launchers.find(c => c.id === this.selectedLauncherForShots?.type);
           if (launcherConfig && this.selectedLauncherForShots) {
-            const [sizeX, sizeY] = launcherConfig.size;
+            const [sizeX, sizeY] = getUnitSize(launcherConfig, this.selectedLauncherForShots.rotated);
             const launcher = this.selectedLauncherForShots;
             const isFirstTileAdjacentToLauncher = 
               // Right side
@@ -1822,7 +1972,7 @@ export class GameRenderer extends Phaser.Scene {
     this.launcherHighlightGraphics = this.add.graphics();
     this.launcherHighlightGraphics.setDepth(50); // Above units but below path
     
-    const [sizeX, sizeY] = launcherConfig.size;
+    const [sizeX, sizeY] = getUnitSize(launcherConfig, launcher.rotated);
     const startX = GRID_OFFSET_X + launcher.x * GRID_TILE_SIZE;
     const startY = GRID_OFFSET_Y + launcher.y * GRID_TILE_SIZE;
     const width = sizeX * GRID_TILE_SIZE;
@@ -2008,10 +2158,13 @@ export class GameRenderer extends Phaser.Scene {
       });
     }
     
-    // Hide build budget text (only for build phase)
+    // Hide build budget text and controls hint (only for build phase)
     if (this.buildBudgetText) {
       this.buildBudgetText.setVisible(false);
     }
+    if (this.buildHintText) {
+      this.buildHintText.setVisible(false);
+    }
     
     // Baroot text will be shown when launcher is selected (handled in updateBarootDisplay)
     
@@ -2047,10 +2200,13 @@ export class GameRenderer extends Phaser.Scene {
       });
     }
     
-    // Show build budget text
+    // Show build budget text and controls hint
     if (this.buildBudgetText) {
       this.buildBudgetText.setVisible(true);
     }
+    if (this.buildHintText) {
+      this.buildHintText.setVisible(true);
+    }
     
     // Hide baroot text (only for battle phase)
     if (this.budgetText) {
@@ -2189,17 +2345,24 @@ export class GameRenderer extends Phaser.Scene {
   sendReady() {
     if (this.isReady) return; // Already ready
     
-    this.isReady = true;
     this.gameState.ws.send(JSON.stringify({
       type: MESSAGE_TYPES.READY
     }));
+    this.showReadyState();
+  }
+
+  // Also used when a resumed session was already ready before the reconnect
+  showReadyState() {
+    this.isReady = true;
     
     // Disable ready button
-    this.readyButton.setFillStyle(0x1a2a3a);
-    this.readyButton.setStrokeStyle(2, 0x666666);
-    this.readyButton.disableInteractive();
-    this.readyButtonText.setText(faTexts.notifications.waitingForOpponent);
-    this.readyButtonText.setColor('#999999');
+    if (this.readyButton) {
+      this.readyButton.setFillStyle(0x1a2a3a);
+      this.readyButton.setStrokeStyle(2, 0x666666);
+      this.readyButton.disableInteractive();
+      this.readyButtonText.setText(faTexts.notifications.waitingForOpponent);
+      this.readyButtonText.setColor('#999999');
+    }
     
     // Hide build phase UI elements when ready
     this.hideBuildPhaseUI();
@@ -2237,6 +2400,9 @@ export class GameRenderer extends Phaser.Scene {
     } else {
       logger.warn('buildBudgetText is null or undefined');
     }
+    if (this.buildHintText) {
+      this.buildHintText.setVisible(false);
+    }
     
     // Hide launcher buttons and their texts
     if (this.launcherButtonsGroup) {
@@ -2304,105 +2470,6 @@ export class GameRenderer extends Phaser.Scene {
     logger.info('hideBuildPhaseUI completed');
   }
 
-  placeRandomLauncher() {
-    logger.info('placeRandomLauncher called', {
-      buildBudget: this.buildBudget,
-      configBuildBudget: this.config?.buildBudget,
-      currentPhase: this.currentPhase
-    });
-    
-    // Get available launchers from config
-    const availableLaunchers = this.config.launchers || [];
-    if (availableLaunchers.length === 0) {
-      logger.warn('No launchers available in config for random placement');
-      return;
-    }
-    
-    // Select cheapest launcher to ensure we can place it
-    const cheapestLauncher = availableLaunchers.reduce((cheapest, launcher) => {
-      return (!cheapest || launcher.cost < cheapest.cost) ? launcher : cheapest;
-    }, null);
-    
-    if (!cheapestLauncher) {
-      logger.warn('No launcher found for random placement');
-      return;
-    }
-    
-    // If budget is 0 or not set, use config value as fallback
-    let availableBudget = this.buildBudget;
-    if (availableBudget === 0 || availableBudget === undefined || availableBudget === null) {
-      availableBudget = this.config?.buildBudget || 10;
-      logger.warn('Budget is 0, using config fallback', {
-        fallbackBudget: availableBudget,
-        originalBudget: this.buildBudget
-      });
-      this.buildBudget = availableBudget;
-    }
-    
-    // Check if we have enough budget
-    if (availableBudget < cheapestLauncher.cost) {
-      logger.warn('Not enough budget for random launcher placement', {
-        budget: availableBudget,
-        cost: cheapestLauncher.cost,
-        cheapestLauncher: cheapestLauncher.id
-      });
-      return;
-    }
-    
-    const randomLauncher = cheapestLauncher; // Use cheapest to ensure placement
-    
-    // Find a random valid position on player's grid (left side)
-    // Player grid is from (0, 0) to (gridSize/2 - 1, gridSize - 1)
-    const maxX = Math.floor(this.gridSize / 2) - 1;
-    const maxY = this.gridSize - 1;
-    const [sizeX, sizeY] = randomLauncher.size || [1, 1];
-    
-    // Try to find a valid position (not overlapping with existing units)
-    let attempts = 0;
-    let placed = false;
-    
-    while (attempts < 50 && !placed) {
-      const x = Math.floor(Math.random() * (maxX - sizeX + 1));
-      const y = Math.floor(Math.random() * (maxY - sizeY + 1));
-      
-      // Check if position is valid (not overlapping)
-      const canPlace = this.unitPlacement.canPlaceUnit(x, y, sizeX, sizeY);
-      
-      if (canPlace) {
-        logger.info('Placing random launcher', {
-          launcherType: randomLauncher.id,
-          position: { x, y },
-          cost: randomLauncher.cost,
-          budget: this.buildBudget
-        });
-        
-        // Place the launcher (silently, no notification)
-        placed = this.unitPlacement.placeLauncher(x, y, randomLauncher.id);
-        
-        if (placed) {
-          logger.info('Random launcher placed successfully', {
-            launcherType: randomLauncher.id,
-            position: { x, y },
-            remainingBudget: this.buildBudget
-          });
-        } else {
-          logger.warn('Failed to place random launcher', {
-            launcherType: randomLauncher.id,
-            position: { x, y }
-          });
-        }
-      }
-      
-      attempts++;
-    }
-    
-    if (!placed) {
-      logger.warn('Could not find valid position for random launcher after 50 attempts');
-    } else {
-      this.onNotification(`یک موشک‌انداز ${randomLauncher.titleFA} به صورت خودکار قرار گرفت`);
-    }
-  }
-
   endTurn() {
     logger.info('Ending turn without firing', {
       currentTurn: this.currentTurn,
@@ -2474,6 +2541,15 @@ export class GameRenderer extends Phaser.Scene {
       return; // Not enough mana
     }
     
+    // Missiles can't cross mountains (the server rejects such paths too)
+    const blockedTile = this.currentPathTiles.slice(1).find(t => this.terrain.blocksMissiles(t.x, t.y));
+    if (blockedTile) {
+      const terrainTitle = this.terrain.describe(blockedTile.x, blockedTile.y).titleFA;
+      this.onNotification(`${faTexts.notifications.invalidPath}: موشک نمی‌تواند از روی ${terrainTitle} عبور کند`);
+      this.audioController.playSound('error');
+      return;
+    }
+    
     // Send the shot
     logger.info('Sending shot request to server', {
       launcherId: this.selectedLauncherForShots.id,
@@ -2600,6 +2676,7 @@ export class GameRenderer extends Phaser.Scene {
         this.currentTurn = data.currentTurn;
         this.mana = data.mana[this.gameState.playerId];
         this.shotsThisTurn = 0;
+        this.updateTurnDeadline(data);
         // Mana bar removed - no need to update UI
         this.updateTurnIndicator();
         this.audioController.playSound('turnChange');
@@ -2613,6 +2690,8 @@ export class GameRenderer extends Phaser.Scene {
         if (data.opponentUnits) {
           this.opponentUnits = data.opponentUnits;
         }
+        this.updateExploredTiles(data);
+        this.renderUnits();
         
         // Reset pending shots on turn change
         this.pendingShots = [];
@@ -2690,14 +2769,42 @@ export class GameRenderer extends Phaser.Scene {
         this.handleGameOver(data);
         break;
       
-      case MESSAGE_TYPES.ERROR:
-        if (data.message) {
-          this.onNotification(data.message);
+      case MESSAGE_TYPES.OPPONENT_DISCONNECTED: {
+        this.updateServerClockOffset(data);
+        const secondsLeft = this.getSecondsUntil(data.forfeitDeadline);
+        logger.warn('Opponent disconnected', { forfeitDeadline: data.forfeitDeadline, secondsLeft });
+        this.onNotification(`${faTexts.notifications.opponentDisconnected} (${secondsLeft} ثانیه تا اعلام برد)`);
+        break;
+      }
+      
+      case MESSAGE_TYPES.OPPONENT_RECONNECTED:
+        logger.info('Opponent reconnected');
+        this.onNotification(faTexts.notifications.opponentReconnected);
+        break;
+      
+      case MESSAGE_TYPES.UNIT_ACK:
+        this.unitPlacement?.handleAck(data);
+        break;
+      
+      case MESSAGE_TYPES.SPECTATOR_EVENTS:
+        this.replayPlayer?.appendEvents(data.events);
+        this.setPlayerNames(this.replayPlayer?.getPlayerNames());
+        // Before setupReplay the scene catches up on its own
+        if (this.replayGraphics) {
+          this.followSpectatedMatch();
+        }
+        break;
+      
+      case MESSAGE_TYPES.ERROR: {
+        // Placement rejections carry a code, show it in Persian instead of the raw reason
+        const notification = this.describePlacementError(data) || data.message;
+        if (notification) {
+          this.onNotification(notification);
           if (this.audioController) {
             this.audioController.playSound('error');
           }
         }
-        logger.warn('Server error message', { message: data.message });
+        logger.warn('Server error message', { message: data.message, code: data.code, unitIndex: data.unitIndex });
         
         // If error occurs during build phase and we're ready, reset ready state
         // This allows timer to restart if needed
@@ -2726,9 +2833,29 @@ export class GameRenderer extends Phaser.Scene {
           }
         }
         break;
+      }
     }
   }
-  
+
+  // Persian text for a rejected placement or unit edit, or null for other errors.
+  // `unit` (a placedUnits entry) is named in the message when known.
+  describePlacementError(data, unit = null) {
+    const text = data.code && faTexts.placementErrors[data.code];
+    if (!text) return null;
+
+    let message = text;
+    if (unit) {
+      const unitConfig = unit.type === 'launcher'
+        ? this.config.launchers?.find(l => l.id === unit.launcherType)
+        : this.config.defenses?.find(d => d.id === unit.defenseType);
+      message += ` (${faTexts.placementErrors.unit} ${unitConfig?.titleFA || unit.id})`;
+    }
+    if (data.terrain) {
+      message += `: ${data.terrain}`;
+    }
+    return message;
+  }
+
   handleRoomUpdate(data) {
     logger.info('handleRoomUpdate called', {
       players: data.players,
@@ -2737,6 +2864,7 @@ export class GameRenderer extends Phaser.Scene {
       hasBuildPhaseTimer: !!this.buildPhaseTimer,
       hasTimerText: !!this.timerText
     });
+    this.setPlayerNames(data.playerNames);
     
     // Check if opponent connected
     if (data.players === 2) {
@@ -2773,7 +2901,7 @@ export class GameRenderer extends Phaser.Scene {
         this.fireButtonText.setVisible(false);
       }
       
-      // Start timer if not already started (30 seconds for player1)
+      // Start timer if not already started (it only shows once the server sends a deadline)
       // Force start timer even if it seems to exist (in case of stale state)
       if (!this.isReady) {
         if (this.buildPhaseTimer) {
@@ -2784,7 +2912,7 @@ export class GameRenderer extends Phaser.Scene {
           this.timerText.destroy();
           this.timerText = null;
         }
-        logger.info('Player1: Starting 30-second build phase timer');
+        logger.info('Player1: Starting build phase timer');
         this.startBuildPhaseTimer();
       } else {
         logger.info('Player1: Already ready, skipping timer start');
@@ -2805,6 +2933,12 @@ export class GameRenderer extends Phaser.Scene {
       hasGameState: !!this.gameState
     });
     
+    // Build deadline is sent once both players are in the room
+    if (data.buildDeadline !== undefined) {
+      this.buildDeadline = data.buildDeadline;
+      this.updateServerClockOffset(data);
+    }
+    
     // If player is already ready, don't show build phase UI
     if (this.isReady) {
       logger.info('Player is already ready, skipping build phase UI display');
@@ -2846,19 +2980,29 @@ export class GameRenderer extends Phaser.Scene {
       logger.info('Build budget updated from server', { buildBudget: this.buildBudget, serverBudget: data.buildBudget });
     }
     
-    if (data.units) {
+    if (data.resumed && data.units && this.unitPlacement) {
+      // Resumed session: rebuild the local placement list (with the server's unit
+      // ids, which later edits refer to) and drop edits the old connection never got acked
+      this.unitPlacement.resetFromServer(data.units);
+      this.renderUnits();
+    } else if (data.units) {
       this.playerUnits = data.units;
       this.renderUnits();
     }
     
+    // Readied up before the reconnect: the server still counts this player as ready
+    if (data.resumed && data.ready && !this.isReady) {
+      logger.info('Resumed session is already ready, hiding build phase UI');
+      this.showReadyState();
+    }
+    
     // Also update build budget display if it changed (only in build phase)
     if (this.buildBudgetText && this.budget !== undefined && this.currentPhase === GAME_PHASES.BUILD) {
       this.buildBudgetText.setText(`${faTexts.game.budget}: ${this.budget}`);
     }
     
-    // Start 30-second timer for build phase
-    // Player1: timer starts when they create room (handled in handleRoomUpdate)
-    // Player2: timer starts when they join (BUILD_PHASE_STATE is sent when player2 joins)
+    // Show build phase countdown once the server has set a deadline
+    // (BUILD_PHASE_STATE with buildDeadline is sent to both players when player2 joins)
     // Check if timer hasn't started yet and we're in build phase and not ready
     if (this.currentPhase === GAME_PHASES.BUILD && !this.buildPhaseTimer && !this.timerText && !this.isReady) {
       logger.info('Starting build phase timer from handleBuildPhaseState', {
@@ -2896,11 +3040,18 @@ export class GameRenderer extends Phaser.Scene {
     logger.info('startBuildPhaseTimer called', {
       playerId: this.gameState.playerId,
       currentPhase: this.currentPhase,
-      isReady: this.isReady
+      isReady: this.isReady,
+      buildDeadline: this.buildDeadline
     });
     
-    // Start 30-second countdown - position timer below budget text to avoid overlap
-    let timeLeft = 30;
+    // The server owns the build deadline - nothing to count down until it sends one
+    if (!this.buildDeadline) {
+      logger.info('No build deadline from server yet, waiting for opponent');
+      return;
+    }
+    
+    // Position timer below budget text to avoid overlap
+    let timeLeft = this.getSecondsUntil(this.buildDeadline);
     // Position timer in center between two grids (above "زمین شما" and "زمین حریف")
     const separatorWidth = 20;
     const gridWidth = this.gridSize * GRID_TILE_SIZE;
@@ -2923,9 +3074,11 @@ export class GameRenderer extends Phaser.Scene {
     });
     
     const countdown = setInterval(() => {
-      timeLeft--;
+      timeLeft = this.getSecondsUntil(this.buildDeadline);
       if (timeLeft > 0) {
-        this.timerText.setText(`زمان باقی‌مانده: ${timeLeft} ثانیه`);
+        if (this.timerText) {
+          this.timerText.setText(`زمان باقی‌مانده: ${timeLeft} ثانیه`);
+        }
       } else {
         clearInterval(countdown);
         this.buildPhaseTimer = null;
@@ -2942,31 +3095,8 @@ export class GameRenderer extends Phaser.Scene {
         // Hide build phase UI elements when timer expires
         this.hideBuildPhaseUI();
         
-        // Check if player has any launchers
-        const launchers = this.playerUnits?.launchers || [];
-        const aliveLaunchers = launchers.filter(l => !l.destroyed);
-        
-        if (aliveLaunchers.length === 0) {
-          // No launchers - place a random launcher automatically
-          logger.info('Timer expired with no launchers - placing random launcher');
-          this.placeRandomLauncher();
-          // Wait a bit for the launcher to be placed and sent to server
-          this.time.delayedCall(500, () => {
-        if (!this.isReady) {
-              logger.info('Auto-sending ready after random launcher placement');
-          this.sendReady();
-        }
-          });
-        } else {
-          // Has launchers - auto-send ready if not already ready
-          if (!this.isReady) {
-            logger.info('Timer expired, player has launchers - auto-sending ready');
-            this.sendReady();
-          }
-        }
-        
-        // Note: Server will check if both players are ready and start battle phase
-        // We don't need to send READY_TO_START here - just READY is enough
+        // Note: Server places a launcher for players without one and starts
+        // the battle phase itself when the deadline lapses
       }
     }, 1000);
     
@@ -2975,9 +3105,15 @@ export class GameRenderer extends Phaser.Scene {
 
   handleBattleState(data) {
     this.currentPhase = GAME_PHASES.BATTLE;
+    // Deployment zones only matter while building
+    if (this.deploymentOverlay) {
+      this.deploymentOverlay.setVisible(false);
+    }
     this.onPhaseChange(this.currentPhase);
+    this.setPlayerNames(data.playerNames);
     this.currentTurn = data.currentTurn;
     this.mana = data.mana[this.gameState.playerId];
+    this.updateTurnDeadline(data);
         // Mana bar removed - no need to update UI
     this.updateTurnIndicator();
     
@@ -2990,6 +3126,7 @@ export class GameRenderer extends Phaser.Scene {
     if (data.opponentUnits) {
       this.opponentUnits = data.opponentUnits;
     }
+    this.updateExploredTiles(data);
     
     if (data.units || data.opponentUnits) {
       this.renderUnits(); // Render units in battle phase
@@ -2999,6 +3136,10 @@ export class GameRenderer extends Phaser.Scene {
     if (this.buildBudgetText) {
       this.buildBudgetText.setVisible(false);
     }
+    if (this.buildHintText) {
+      this.buildHintText.setVisible(false);
+    }
+    this.unitPlacement?.cancelDrag();
     
       // Show baroot display in battle phase (by default)
       // Also update position to ensure it's in the right place
@@ -3068,9 +3209,36 @@ export class GameRenderer extends Phaser.Scene {
     this.startBattleTurnTimerInternal();
   }
   
+  updateServerClockOffset(data) {
+    if (data.serverTime) {
+      this.serverClockOffset = data.serverTime - Date.now();
+    }
+  }
+  
+  getSecondsUntil(deadline) {
+    const remainingMs = deadline - (Date.now() + this.serverClockOffset);
+    return Math.max(0, Math.ceil(remainingMs / 1000));
+  }
+  
+  updateTurnDeadline(data) {
+    if (data.turnTimeSeconds) {
+      this.turnTimeSeconds = data.turnTimeSeconds;
+    }
+    this.turnDeadline = data.turnDeadline || null;
+    this.updateServerClockOffset(data);
+  }
+  
+  getTurnTimeLeft() {
+    // Server owns the deadline; fall back to the full turn time if it wasn't sent
+    if (!this.turnDeadline) {
+      return this.turnTimeSeconds;
+    }
+    return this.getSecondsUntil(this.turnDeadline);
+  }
+  
   startBattleTurnTimerInternal() {
     const turnTime = this.turnTimeSeconds;
-    let timeLeft = turnTime;
+    let timeLeft = this.getTurnTimeLeft();
     
     // Position battle timer below turnText, centered between grids, with same width as grid labels
     const separatorWidth = 20;
@@ -3093,26 +3261,19 @@ export class GameRenderer extends Phaser.Scene {
         align: 'center'
       }).setOrigin(0.5, 0).setDepth(100);
     } else {
-      // Update position to ensure it's at battle timer position
-      const separatorWidth = 20;
-      const gridWidth = this.gridSize * GRID_TILE_SIZE;
-      const centerX = GRID_OFFSET_X + gridWidth + separatorWidth / 2;
-      const battleTimerY = GRID_OFFSET_Y - 20; // Timer position (below grid labels)
-      const timerY = battleTimerY;
-      const gridLabelWidth = this.gridSize * GRID_TILE_SIZE; // Same width as grid labels
-      
       this.battleTurnTimerText.setPosition(centerX, timerY);
       this.battleTurnTimerText.setVisible(true);
       this.battleTurnTimerText.setText(`زمان نوبت: ${timeLeft} ثانیه`);
-      this.battleTurnTimerText.setColor('#ffd700'); // Reset color
+      this.battleTurnTimerText.setColor(timeLeft > 5 ? '#ffd700' : '#ff0000');
       this.battleTurnTimerText.setFixedSize(gridLabelWidth, 0); // Same width as grid labels
     }
     
-    // Update timer every second
+    // Refresh display every second from the server deadline
     this.battleTurnTimer = this.time.addEvent({
       delay: 1000,
+      loop: true,
       callback: () => {
-        timeLeft--;
+        timeLeft = this.getTurnTimeLeft();
         if (this.battleTurnTimerText) {
           if (timeLeft > 5) {
             this.battleTurnTimerText.setText(`زمان نوبت: ${timeLeft} ثانیه`);
@@ -3121,17 +3282,17 @@ export class GameRenderer extends Phaser.Scene {
             this.battleTurnTimerText.setText(`زمان نوبت: ${timeLeft} ثانیه`);
             this.battleTurnTimerText.setColor('#ff0000'); // Red when time is running out
           } else {
-            // Time's up - auto-fire if valid path exists
+            // Time's up - server will switch the turn
             this.handleTurnTimerExpired();
           }
         }
-      },
-      repeat: turnTime - 1
+      }
     });
     
     logger.info('Battle turn timer started', {
       timeLeft: timeLeft,
       turnTime: turnTime,
+      turnDeadline: this.turnDeadline,
       currentTurn: this.currentTurn,
       playerId: this.gameState.playerId
     });
@@ -3148,49 +3309,30 @@ export class GameRenderer extends Phaser.Scene {
   }
   
   handleTurnTimerExpired() {
-    logger.info('Turn timer expired', {
+    logger.info('Turn timer expired, waiting for server turn change', {
       currentTurn: this.currentTurn,
       playerId: this.gameState.playerId,
-      hasValidPath: !!(this.currentPathTiles && this.currentPathTiles.length >= 2 && this.selectedLauncherForShots),
       pathLength: this.currentPathTiles?.length || 0,
       selectedLauncher: this.selectedLauncherForShots?.id
     });
     this.stopBattleTurnTimer();
     
-    // Check if there's a valid path ready to fire
-    if (this.currentPathTiles && this.currentPathTiles.length >= 2 && this.selectedLauncherForShots) {
-      // Auto-fire the current path
-      logger.info('Auto-firing due to timer expiry', {
-        pathLength: this.currentPathTiles.length,
-        launcherId: this.selectedLauncherForShots.id
-      });
-      this.fireAllShots();
-    } else {
-      // No valid path - do nothing, no mana consumed
-      logger.info('Timer expired but no valid path - sending END_TURN', {
-        pathLength: this.currentPathTiles?.length || 0,
-        selectedLauncher: this.selectedLauncherForShots?.id
-      });
-      // Clear any partial path
-      this.currentPathTiles = [];
-      this.selectedLauncherForShots = null;
-      this.pathSelectionMode = false;
-      this.aimingMode = false;
-      this.isDrawingPath = false;
-      if (this.pathHighlightGraphics) {
-        this.pathHighlightGraphics.clear();
-      }
-      // Clear launcher highlight when timer expires without valid path
-      this.clearLauncherHighlight();
-      // Disable FIRE button (keep visible but disabled)
-      if (this.fireButton) {
-        this.fireButton.setAlpha(0.5);
-        this.fireButtonText.setAlpha(0.5);
-      }
-      // Request turn switch from server (end turn without firing)
-      this.gameState.ws.send(JSON.stringify({
-        type: MESSAGE_TYPES.END_TURN
-      }));
+    // The server owns the turn deadline and sends TURN_CHANGE itself,
+    // so we only drop any partial path here
+    this.currentPathTiles = [];
+    this.selectedLauncherForShots = null;
+    this.pathSelectionMode = false;
+    this.aimingMode = false;
+    this.isDrawingPath = false;
+    if (this.pathHighlightGraphics) {
+      this.pathHighlightGraphics.clear();
+    }
+    this.clearLauncherHighlight();
+    // Disable FIRE button (keep visible but disabled)
+    if (this.fireButton) {
+      this.fireButton.setAlpha(0.5);
+      this.fireButtonText.setAlpha(0.5);
+      this.fireButton.disableInteractive();
     }
   }
 
@@ -3235,7 +3377,8 @@ export class GameRenderer extends Phaser.Scene {
         // Animate missile - get launcher type from damage data
         const launcher = this.playerUnits.launchers.find(l => l.id === data.launcherId) ||
                         this.opponentUnits.launchers.find(l => l.id === data.launcherId);
-        const launcherType = launcher ? launcher.type : null;
+        // Opponent launchers are usually hidden by fog of war, so prefer the type sent by the server
+        const launcherType = data.launcherType || (launcher ? launcher.type : null);
       
       // Convert pathTiles to format expected by animateMissile (with isPlayerGrid)
       // Path always starts from attacker's grid and can cross to opponent grid
@@ -3285,6 +3428,9 @@ export class GameRenderer extends Phaser.Scene {
           this.showExplosion(lastTile.x, lastTile.y, explosionType);
           this.audioController.playSound('explosion');
         }, launcherType);
+      } else if (!data.pathTiles) {
+        // Fired by a launcher we haven't found: the server leaves out its path
+        this.audioController.playSound('explosion');
       }
     
     // Update units from server (if provided)
@@ -3294,23 +3440,27 @@ export class GameRenderer extends Phaser.Scene {
     if (data.opponentUnits) {
       this.opponentUnits = data.opponentUnits;
     }
+    this.updateExploredTiles(data);
     
     // Update units
+    // Every unit hit is listed with { id, type, x, y, damage, health, destroyed };
+    // only some of them may have been destroyed
     if (data.damage) {
+      const isMyShot = data.attackerId === this.gameState.playerId;
       if (data.damage.launchers) {
         data.damage.launchers.forEach(dmg => {
           const unit = this.playerUnits.launchers.find(u => u.id === dmg.id) ||
                       this.opponentUnits.launchers.find(u => u.id === dmg.id);
+          this.showDamageNumber(dmg, isMyShot);
           if (unit) {
-            unit.destroyed = true;
+            unit.health = dmg.health;
+            unit.destroyed = dmg.destroyed;
             
             // If this is opponent's launcher and we destroyed it, highlight it
-            const isMyShot = data.attackerId === this.gameState.playerId;
             const opponentLauncher = this.opponentUnits.launchers.find(u => u.id === dmg.id);
             
-            if (isMyShot && opponentLauncher) {
+            if (isMyShot && opponentLauncher && dmg.destroyed) {
               // Highlight destroyed launcher in opponent grid
-              // dmg contains: { id, type, x, y } from server
               this.highlightDestroyedLauncher({
                 id: dmg.id,
                 type: dmg.type || opponentLauncher.type,
@@ -3325,7 +3475,11 @@ export class GameRenderer extends Phaser.Scene {
         data.damage.defenses.forEach(dmg => {
           const unit = this.playerUnits.defenses.find(u => u.id === dmg.id) ||
                       this.opponentUnits.defenses.find(u => u.id === dmg.id);
-          if (unit) unit.destroyed = true;
+          this.showDamageNumber(dmg, isMyShot);
+          if (unit) {
+            unit.health = dmg.health;
+            unit.destroyed = dmg.destroyed;
+          }
         });
       }
       this.renderUnits();
@@ -3338,7 +3492,11 @@ export class GameRenderer extends Phaser.Scene {
   }
 
   handleGameOver(data) {
-    if (data.winner === this.gameState.playerId) {
+    this.stopBattleTurnTimer();
+    this.setPlayerNames(data.playerNames);
+    if (data.winner === this.gameState.playerId && data.reason === 'forfeit') {
+      this.onNotification(faTexts.notifications.opponentForfeited);
+    } else if (data.winner === this.gameState.playerId) {
       this.onNotification(faTexts.notifications.youWon);
     } else {
       this.onNotification(faTexts.notifications.youLost);
@@ -3391,33 +3549,74 @@ export class GameRenderer extends Phaser.Scene {
     // Get missile move time per tile from config (default: 100ms = 0.1s per tile)
     const moveTimePerTile = this.config.battle?.missileMoveTimePerTile || 100;
     
-    // Create timeline using createTimeline (Phaser 3 API)
-    const timeline = this.tweens.createTimeline({
+    // One tween per path segment, chained (tweens.createTimeline was removed in Phaser 3.60)
+    this.tweens.chain({
+      targets: missile,
+      tweens: points.slice(1).map(point => ({
+        x: point.x,
+        y: point.y,
+        duration: moveTimePerTile,
+        ease: 'Linear'
+      })),
       onComplete: () => {
         logger.info('Missile animation complete');
         missile.destroy();
         if (onComplete) onComplete();
       }
     });
-    
-    // Add tween for each segment of the path
-    for (let i = 1; i < points.length; i++) {
-      timeline.add({
-        targets: missile,
-        x: points[i].x,
-        y: points[i].y,
-        duration: moveTimePerTile,
-        ease: 'Linear'
-      });
-    }
-    
-    // Play the timeline
-    timeline.play();
     this.audioController.playSound('launch');
   }
 
-  showExplosion(x, y, explosionType = 'default') {
-    const explosion = new Explosion(this, x, y, explosionType, this.config);
+  // Health bar along the top edge of a unit; null for units without health info
+  // (placement previews, replays recorded before the health model)
+  createHealthBar(unit, offsetX, sizeX) {
+    if (typeof unit.health !== 'number' || !unit.maxHealth) return null;
+    
+    const ratio = Math.max(0, Math.min(1, unit.health / unit.maxHealth));
+    const width = sizeX * GRID_TILE_SIZE - 6;
+    const x = offsetX + unit.x * GRID_TILE_SIZE + 3;
+    const y = GRID_OFFSET_Y + unit.y * GRID_TILE_SIZE + 2;
+    const color = ratio > 0.5 ? 0x00cc44 : ratio > 0.25 ? 0xffcc00 : 0xff3333;
+    
+    const bar = this.add.graphics();
+    bar.setDepth(35); // Above unit sprites
+    bar.fillStyle(0x000000, 0.7);
+    bar.fillRect(x, y, width, HEALTH_BAR_HEIGHT);
+    bar.fillStyle(color, 1);
+    bar.fillRect(x, y, width * ratio, HEALTH_BAR_HEIGHT);
+    return bar;
+  }
+
+  // Floating "-25" over a unit that was hit (on its owner's board)
+  showDamageNumber(hit, isMyShot) {
+    const separatorWidth = 4;
+    const offsetX = isMyShot
+      ? GRID_OFFSET_X + (this.gridSize * GRID_TILE_SIZE) + separatorWidth
+      : GRID_OFFSET_X;
+    const text = this.add.text(
+      offsetX + hit.x * GRID_TILE_SIZE + GRID_TILE_SIZE / 2,
+      GRID_OFFSET_Y + hit.y * GRID_TILE_SIZE,
+      `-${hit.damage}`,
+      {
+        fontSize: '16px',
+        fontFamily: 'Vazirmatn, Tahoma',
+        color: hit.destroyed ? '#ff3333' : '#ffcc00',
+        stroke: '#000000',
+        strokeThickness: 3
+      }
+    ).setOrigin(0.5).setDepth(200);
+    
+    this.tweens.add({
+      targets: text,
+      y: text.y - 30,
+      alpha: 0,
+      duration: 1200,
+      onComplete: () => text.destroy()
+    });
+  }
+
+  showExplosion(x, y, explosionType = 'default', offsetX = GRID_OFFSET_X) {
+    const explosion = new Explosion(this, x, y, explosionType, this.config, offsetX);
     explosion.play();
   }
 
@@ -3435,7 +3634,7 @@ export class GameRenderer extends Phaser.Scene {
           const config = this.config.launchers.find(l => l.id === unit.launcherType);
           if (!config) return;
           
-          const [sizeX, sizeY] = config.size;
+          const [sizeX, sizeY] = getUnitSize(config, unit.rotated);
           const spriteKey = `launcher_${unit.launcherType}`;
           
           let sprite;
@@ -3461,7 +3660,7 @@ export class GameRenderer extends Phaser.Scene {
           const config = this.config.defenses.find(d => d.id === unit.defenseType);
           if (!config) return;
           
-          const [sizeX, sizeY] = config.size || [1, 1];
+          const [sizeX, sizeY] = getUnitSize(config, unit.rotated);
           const spriteKey = `defense_${unit.defenseType}`;
           
           const sprite = this.add.image(
@@ -3483,7 +3682,7 @@ export class GameRenderer extends Phaser.Scene {
         const config = this.config.launchers.find(l => l.id === unit.type);
         if (!config) return;
         
-        const [sizeX, sizeY] = config.size;
+        const [sizeX, sizeY] = getUnitSize(config, unit.rotated);
         const spriteKey = `launcher_${unit.type}`;
         
         let sprite;
@@ -3505,6 +3704,8 @@ export class GameRenderer extends Phaser.Scene {
         }
         
         this.unitSprites.push(sprite);
+        const healthBar = this.createHealthBar(unit, GRID_OFFSET_X, sizeX);
+        if (healthBar) this.unitSprites.push(healthBar);
       });
     }
     
@@ -3513,7 +3714,7 @@ export class GameRenderer extends Phaser.Scene {
       const config = this.config.defenses.find(d => d.id === unit.type);
       if (!config) return;
       
-      const [sizeX, sizeY] = config.size || [1, 1];
+      const [sizeX, sizeY] = getUnitSize(config, unit.rotated);
       const sprite = this.add.image(
         GRID_OFFSET_X + unit.x * GRID_TILE_SIZE + (sizeX * GRID_TILE_SIZE) / 2,
         GRID_OFFSET_Y + unit.y * GRID_TILE_SIZE + (sizeY * GRID_TILE_SIZE) / 2,
@@ -3521,6 +3722,77 @@ export class GameRenderer extends Phaser.Scene {
       );
       sprite.setTint(Phaser.Display.Color.HexStringToColor(config.color).color);
       this.unitSprites.push(sprite);
+      const healthBar = this.createHealthBar(unit, GRID_OFFSET_X, sizeX);
+      if (healthBar) this.unitSprites.push(healthBar);
+    });
+    
+    this.renderOpponentGrid();
+  }
+
+  updateExploredTiles(data) {
+    if (data.exploredTiles) {
+      this.exploredTiles = new Set(data.exploredTiles.map(tile => `${tile.x},${tile.y}`));
+    }
+  }
+  
+  renderOpponentGrid() {
+    // Fog of war on the opponent grid: tiles our missiles haven't hit are shaded
+    // as unexplored, and only opponent units revealed to us are drawn. With
+    // battle.fogOfWar = false the server sends every unit and all of them are shown.
+    if (!this.fogGraphics) {
+      this.fogGraphics = this.add.graphics();
+      this.fogGraphics.setDepth(40); // Above grid, below destroyed launchers highlight
+    }
+    this.fogGraphics.clear();
+    
+    if (this.currentPhase !== GAME_PHASES.BATTLE && this.currentPhase !== GAME_PHASES.GAME_OVER) {
+      return;
+    }
+    
+    const separatorWidth = 4;
+    const opponentOffsetX = GRID_OFFSET_X + (this.gridSize * GRID_TILE_SIZE) + separatorWidth;
+    const fogOfWar = this.config.battle?.fogOfWar !== false;
+    
+    this.fogGraphics.fillStyle(0x000000, 0.5);
+    for (let y = 0; y < this.gridSize; y++) {
+      for (let x = 0; x < this.gridSize; x++) {
+        if (fogOfWar && !this.exploredTiles.has(`${x},${y}`)) {
+          this.fogGraphics.fillRect(
+            opponentOffsetX + x * GRID_TILE_SIZE + 1,
+            GRID_OFFSET_Y + y * GRID_TILE_SIZE + 1,
+            GRID_TILE_SIZE - 2,
+            GRID_TILE_SIZE - 2
+          );
+        }
+      }
+    }
+    
+    // Destroyed launchers are drawn by highlightDestroyedLauncher
+    const visibleUnits = [
+      ...(this.opponentUnits.launchers || []).map(unit => ({
+        unit,
+        config: this.config.launchers.find(l => l.id === unit.type),
+        spriteKey: `launcher_${unit.type}`
+      })),
+      ...(this.opponentUnits.defenses || []).map(unit => ({
+        unit,
+        config: this.config.defenses.find(d => d.id === unit.type),
+        spriteKey: `defense_${unit.type}`
+      }))
+    ].filter(({ unit, config }) => config && (unit.revealed || !fogOfWar) && !unit.destroyed);
+    
+    visibleUnits.forEach(({ unit, config, spriteKey }) => {
+      const [sizeX, sizeY] = getUnitSize(config, unit.rotated);
+      const sprite = this.add.image(
+        opponentOffsetX + unit.x * GRID_TILE_SIZE + (sizeX * GRID_TILE_SIZE) / 2,
+        GRID_OFFSET_Y + unit.y * GRID_TILE_SIZE + (sizeY * GRID_TILE_SIZE) / 2,
+        spriteKey
+      );
+      sprite.setTint(Phaser.Display.Color.HexStringToColor(config.color).color);
+      sprite.setDisplaySize(sizeX * GRID_TILE_SIZE, sizeY * GRID_TILE_SIZE);
+      this.unitSprites.push(sprite);
+      const healthBar = this.createHealthBar(unit, opponentOffsetX, sizeX);
+      if (healthBar) this.unitSprites.push(healthBar);
     });
   }
 
@@ -3548,7 +3820,7 @@ export class GameRenderer extends Phaser.Scene {
       return;
     }
     
-    const [sizeX, sizeY] = launcherConfig.size;
+    const [sizeX, sizeY] = getUnitSize(launcherConfig, launcher.rotated);
     
     // Calculate opponent grid offset
     const separatorWidth = 4;
@@ -3577,5 +3849,314 @@ export class GameRenderer extends Phaser.Scene {
       size: { sizeX, sizeY }
     });
   }
-}
 
+  // ---- Replay mode ----
+
+  setupReplay() {
+    this.currentPhase = GAME_PHASES.REPLAY;
+    this.onPhaseChange(this.currentPhase);
+    // Missile and explosion textures are needed right away
+    this.createPlaceholderGraphics();
+    
+    this.replayGraphics = this.add.graphics();
+    this.replayGraphics.setDepth(40);
+    this.replaySprites = [];
+    
+    const gridWidth = this.gridSize * GRID_TILE_SIZE;
+    const centerX = GRID_OFFSET_X + gridWidth + 2;
+    this.replayStatusText = this.add.text(centerX, GRID_OFFSET_Y - 175, '', {
+      fontSize: '20px',
+      color: '#ffd700',
+      fontFamily: 'Vazirmatn, Tahoma',
+      align: 'center'
+    }).setOrigin(0.5, 0).setDepth(100);
+    
+    // Spectators have no playback controls: catch up without animating what
+    // already happened, then follow the match (SPECTATOR_EVENTS)
+    if (this.spectating) {
+      this.replayPlayer.seek(this.replayPlayer.stepCount);
+      logger.info('Spectating room', {
+        roomId: this.replayPlayer.replay.roomId,
+        steps: this.replayPlayer.stepCount
+      });
+      this.renderReplayState();
+      return;
+    }
+    
+    // Playback controls below the boards
+    const controlsY = GRID_OFFSET_Y + gridWidth + 50;
+    const buttonSpacing = 130;
+    this.createReplayButton(centerX - buttonSpacing * 1.5, controlsY, faTexts.replay.stepBack, () => this.replayStepBack());
+    this.replayPlayButton = this.createReplayButton(centerX - buttonSpacing * 0.5, controlsY, faTexts.replay.play, () => this.toggleReplayPlayback());
+    this.createReplayButton(centerX + buttonSpacing * 0.5, controlsY, faTexts.replay.stepForward, () => {
+      this.pauseReplay();
+      this.replayStepForward();
+    });
+    this.replaySpeedButton = this.createReplayButton(centerX + buttonSpacing * 1.5, controlsY, '', () => this.cycleReplaySpeed());
+    this.setReplaySpeed(this.replaySpeed);
+    
+    // Keyboard: space = play/pause, arrows = step
+    this.input.keyboard?.on('keydown-SPACE', () => this.toggleReplayPlayback());
+    this.input.keyboard?.on('keydown-RIGHT', () => {
+      this.pauseReplay();
+      this.replayStepForward();
+    });
+    this.input.keyboard?.on('keydown-LEFT', () => this.replayStepBack());
+    
+    logger.info('Replay loaded', {
+      roomId: this.replayPlayer.replay.roomId,
+      seed: this.replayPlayer.replay.seed,
+      steps: this.replayPlayer.stepCount
+    });
+    this.renderReplayState();
+  }
+
+  createReplayButton(x, y, label, onClick) {
+    const rect = this.add.rectangle(x, y, 120, 44, 0x3f5765)
+      .setInteractive({ useHandCursor: true })
+      .setStrokeStyle(2, 0xffd700)
+      .setDepth(100)
+      .on('pointerdown', onClick)
+      .on('pointerover', () => rect.setFillStyle(0x4f6775))
+      .on('pointerout', () => rect.setFillStyle(0x3f5765));
+    const text = this.add.text(x, y, label, {
+      fontSize: '18px',
+      color: '#ffffff',
+      fontFamily: 'Vazirmatn, Tahoma'
+    }).setOrigin(0.5).setDepth(101);
+    return { rect, text };
+  }
+
+  getBoardOffsetX(playerId) {
+    const separatorWidth = 4;
+    return playerId === 'player1'
+      ? GRID_OFFSET_X
+      : GRID_OFFSET_X + (this.gridSize * GRID_TILE_SIZE) + separatorWidth;
+  }
+
+  toggleReplayPlayback() {
+    if (this.replayPlaying) {
+      this.pauseReplay();
+      return;
+    }
+    // Restart from the beginning when play is pressed at the end
+    if (this.replayPlayer.isAtEnd()) {
+      this.replayPlayer.seek(0);
+      this.renderReplayState();
+    }
+    this.replayPlaying = true;
+    this.replayPlayButton.text.setText(faTexts.replay.pause);
+    this.scheduleReplayStep(0);
+  }
+
+  pauseReplay() {
+    this.replayPlaying = false;
+    if (this.replayTimer) {
+      this.replayTimer.remove();
+      this.replayTimer = null;
+    }
+    this.replayPlayButton.text.setText(faTexts.replay.play);
+  }
+
+  scheduleReplayStep(delay) {
+    // Scene clock is scaled by the replay speed, so the delay is in 1x time
+    this.replayTimer = this.time.delayedCall(delay, () => {
+      this.replayTimer = null;
+      if (!this.replayPlaying) return;
+      this.replayStepForward(() => {
+        if (!this.replayPlaying) return;
+        if (this.replayPlayer.isAtEnd()) {
+          this.pauseReplay();
+        } else {
+          this.scheduleReplayStep(REPLAY_STEP_DELAY_MS);
+        }
+      });
+    });
+  }
+
+  cycleReplaySpeed() {
+    const index = REPLAY_SPEEDS.indexOf(this.replaySpeed);
+    this.setReplaySpeed(REPLAY_SPEEDS[(index + 1) % REPLAY_SPEEDS.length]);
+  }
+
+  setReplaySpeed(speed) {
+    this.replaySpeed = speed;
+    // Scales step delays, missile tweens and explosion frames alike
+    this.time.timeScale = speed;
+    this.tweens.timeScale = speed;
+    this.replaySpeedButton.text.setText(`${faTexts.replay.speed} ${speed}x`);
+  }
+
+  replayStepForward(onComplete = null) {
+    // Let the current missile land before moving on
+    if (this.replayAnimating) return;
+    
+    const event = this.replayPlayer.peekNextEvent();
+    if (!event) {
+      if (onComplete) onComplete();
+      return;
+    }
+    
+    const applyStep = () => {
+      this.replayPlayer.stepForward();
+      this.renderReplayState();
+      if (onComplete) onComplete();
+    };
+    
+    if (event.type === 'shotResolved') {
+      this.replayAnimating = true;
+      this.playReplayShot(event, () => {
+        this.replayAnimating = false;
+        applyStep();
+      });
+    } else {
+      applyStep();
+    }
+  }
+
+  // Applies the spectated match's new steps one after another, animating shots
+  followSpectatedMatch() {
+    if (this.replayAnimating || this.replayPlayer.isAtEnd()) return;
+    this.replayStepForward(() => this.followSpectatedMatch());
+  }
+
+  replayStepBack() {
+    this.pauseReplay();
+    if (this.replayAnimating) return;
+    this.replayPlayer.stepBack();
+    this.renderReplayState();
+  }
+
+  playReplayShot(event, onComplete) {
+    const defenderId = event.playerId === 'player1' ? 'player2' : 'player1';
+    const offsetX = this.getBoardOffsetX(defenderId);
+    const launcherType = this.replayPlayer.getLauncherType(event.playerId, event.launcherId);
+    
+    // Shots are resolved on the defender's board; an intercepted missile stops where it was hit
+    let pathTiles = this.replayPlayer.getShotPath(event);
+    if (event.intercepted && event.interceptedAt) {
+      const interceptIndex = pathTiles.findIndex(tile =>
+        tile.x === event.interceptedAt.x && tile.y === event.interceptedAt.y
+      );
+      if (interceptIndex >= 0) {
+        pathTiles = pathTiles.slice(0, interceptIndex + 1);
+      }
+    }
+    const formattedPathTiles = pathTiles.map(tile => ({
+      x: tile.x,
+      y: tile.y,
+      isPlayerGrid: defenderId === 'player1'
+    }));
+    const lastTile = formattedPathTiles[formattedPathTiles.length - 1];
+    
+    this.animateMissile(formattedPathTiles, () => {
+      if (!lastTile) {
+        onComplete();
+        return;
+      }
+      if (event.intercepted) {
+        this.showReplayInterception(lastTile, offsetX);
+        this.audioController.playSound('defense_intercept');
+      } else {
+        this.showExplosion(lastTile.x, lastTile.y, launcherType || 'default', offsetX);
+        this.audioController.playSound('explosion');
+      }
+      onComplete();
+    }, launcherType);
+  }
+
+  showReplayInterception(tile, offsetX) {
+    const flash = this.add.circle(
+      offsetX + tile.x * GRID_TILE_SIZE + GRID_TILE_SIZE / 2,
+      GRID_OFFSET_Y + tile.y * GRID_TILE_SIZE + GRID_TILE_SIZE / 2,
+      GRID_TILE_SIZE / 2,
+      0x66ccff,
+      0.8
+    ).setDepth(200);
+    this.tweens.add({
+      targets: flash,
+      alpha: 0,
+      scale: 2,
+      duration: 600,
+      onComplete: () => flash.destroy()
+    });
+  }
+
+  renderReplayState() {
+    this.replaySprites.forEach(sprite => sprite.destroy());
+    this.replaySprites = [];
+    this.replayGraphics.clear();
+    
+    const { state } = this.replayPlayer;
+    ['player1', 'player2'].forEach(playerId => {
+      const offsetX = this.getBoardOffsetX(playerId);
+      
+      // Tiles hit by the other player's missiles
+      this.replayGraphics.fillStyle(0xff6600, 0.25);
+      state.hitTiles[playerId].forEach(tile => {
+        this.replayGraphics.fillRect(
+          offsetX + tile.x * GRID_TILE_SIZE + 1,
+          GRID_OFFSET_Y + tile.y * GRID_TILE_SIZE + 1,
+          GRID_TILE_SIZE - 2,
+          GRID_TILE_SIZE - 2
+        );
+      });
+      
+      // Both boards are fully revealed; destroyed units stay visible, faded and outlined in red
+      const units = [
+        ...state.units[playerId].launchers.map(unit => ({
+          unit,
+          config: this.config.launchers.find(l => l.id === unit.type),
+          spriteKey: `launcher_${unit.type}`
+        })),
+        ...state.units[playerId].defenses.map(unit => ({
+          unit,
+          config: this.config.defenses.find(d => d.id === unit.type),
+          spriteKey: `defense_${unit.type}`
+        }))
+      ].filter(({ config }) => config);
+      
+      units.forEach(({ unit, config, spriteKey }) => {
+        const [sizeX, sizeY] = getUnitSize(config, unit.rotated);
+        const sprite = this.add.image(
+          offsetX + unit.x * GRID_TILE_SIZE + (sizeX * GRID_TILE_SIZE) / 2,
+          GRID_OFFSET_Y + unit.y * GRID_TILE_SIZE + (sizeY * GRID_TILE_SIZE) / 2,
+          spriteKey
+        );
+        sprite.setDisplaySize(sizeX * GRID_TILE_SIZE, sizeY * GRID_TILE_SIZE);
+        sprite.setDepth(30);
+        if (unit.destroyed) {
+          sprite.setAlpha(0.3);
+          this.replayGraphics.lineStyle(2, 0xff0000, 0.9);
+          this.replayGraphics.strokeRect(
+            offsetX + unit.x * GRID_TILE_SIZE,
+            GRID_OFFSET_Y + unit.y * GRID_TILE_SIZE,
+            sizeX * GRID_TILE_SIZE,
+            sizeY * GRID_TILE_SIZE
+          );
+        } else {
+          const healthBar = this.createHealthBar(unit, offsetX, sizeX);
+          if (healthBar) this.replaySprites.push(healthBar);
+        }
+        this.replaySprites.push(sprite);
+      });
+    });
+    
+    const lines = [
+      this.spectating
+        ? faTexts.spectator.live
+        : `${faTexts.replay.step} ${this.replayPlayer.position} / ${this.replayPlayer.stepCount}`
+    ];
+    if (this.spectating && !state.currentTurn && !state.winner) {
+      lines.push(faTexts.game.buildPhase);
+    }
+    if (state.currentTurn) {
+      lines.push(`${faTexts.replay.turn}: ${faTexts.replay[state.currentTurn]}`);
+      lines.push(`${faTexts.game.mana}: ${faTexts.replay.player1} ${state.mana.player1} - ${faTexts.replay.player2} ${state.mana.player2}`);
+    }
+    if (state.winner) {
+      lines.push(`${faTexts.replay.winner}: ${faTexts.replay[state.winner]}`);
+    }
+    this.replayStatusText.setText(lines.join('\n'));
+  }
+}
@@ -0,0 +1,196 @@
+import { REPLAY_FORMAT_VERSION } from '@shared/constants.js';
+
+// Event types that are a playback step of their own; the rest (mana updates,
+// shot requests, rejected shots, ...) are folded into the next step
+const STEP_EVENT_TYPES = ['unitsPlaced', 'autoPlaced', 'battleStart', 'shotResolved', 'turnChange', 'gameOver'];
+
+function cloneUnits(units) {
+  return {
+    launchers: (units?.launchers || []).map(unit => ({ ...unit })),
+    defenses: (units?.defenses || []).map(unit => ({ ...unit }))
+  };
+}
+
+// Steps through a recorded match (see server/replays.js for the format).
+// State is rebuilt from the start on every seek, which keeps stepping back
+// trivial - replays are a few hundred events at most.
+export class ReplayPlayer {
+  constructor(replay) {
+    if (!replay || !Array.isArray(replay.events)) {
+      throw new Error('Invalid replay file');
+    }
+    if (replay.version !== REPLAY_FORMAT_VERSION) {
+      throw new Error(`Unsupported replay version: ${replay.version}`);
+    }
+
+    this.replay = replay;
+    this.events = [];
+    this.steps = [];
+    this.appendEvents(replay.events);
+    this.position = 0; // Number of steps applied
+    this.state = this.buildState(0);
+  }
+
+  // A spectated match grows while it is watched (SPECTATOR_EVENTS); new steps
+  // are only applied when stepped to
+  appendEvents(events) {
+    events.forEach(event => {
+      if (STEP_EVENT_TYPES.includes(event.type)) {
+        this.steps.push(this.events.length);
+      }
+      this.events.push(event);
+    });
+  }
+
+  get stepCount() {
+    return this.steps.length;
+  }
+
+  isAtEnd() {
+    return this.position >= this.steps.length;
+  }
+
+  // The event applied by the last step (null before the first step)
+  getCurrentEvent() {
+    return this.position > 0 ? this.events[this.steps[this.position - 1]] : null;
+  }
+
+  // The event the next step will apply (null at the end)
+  peekNextEvent() {
+    return this.isAtEnd() ? null : this.events[this.steps[this.position]];
+  }
+
+  stepForward() {
+    if (this.isAtEnd()) return null;
+    return this.seek(this.position + 1);
+  }
+
+  stepBack() {
+    if (this.position === 0) return null;
+    return this.seek(this.position - 1);
+  }
+
+  seek(position) {
+    this.position = Math.max(0, Math.min(position, this.steps.length));
+    this.state = this.buildState(this.position);
+    return this.getCurrentEvent();
+  }
+
+  buildState(position) {
+    const state = {
+      units: {
+        player1: { launchers: [], defenses: [] },
+        player2: { launchers: [], defenses: [] }
+      },
+      hitTiles: { player1: [], player2: [] }, // Tiles hit on each player's board
+      mana: { player1: 0, player2: 0 },
+      currentTurn: null,
+      winner: null,
+      reason: null
+    };
+    const lastEventIndex = position > 0 ? this.steps[position - 1] : -1;
+
+    for (let i = 0; i <= lastEventIndex; i++) {
+      this.applyEvent(state, this.events[i]);
+    }
+    return state;
+  }
+
+  applyEvent(state, event) {
+    switch (event.type) {
+      case 'unitsPlaced':
+        state.units[event.playerId] = cloneUnits(event.units);
+        break;
+
+      case 'autoPlaced':
+        // Spectators of a fog-of-war match don't get the unit
+        if (event.unit) {
+          state.units[event.playerId].launchers.push({ ...event.unit, destroyed: false });
+        }
+        break;
+
+      case 'battleStart':
+        state.units.player1 = cloneUnits(event.units.player1);
+        state.units.player2 = cloneUnits(event.units.player2);
+        state.currentTurn = event.currentTurn;
+        state.mana = { ...event.mana };
+        break;
+
+      case 'shotResolved': {
+        const defenderId = event.playerId === 'player1' ? 'player2' : 'player1';
+        const defenderUnits = state.units[defenderId];
+        // Spectators of a fog-of-war match learn of units as shots reveal them
+        const revealed = cloneUnits(event.revealedUnits);
+        defenderUnits.launchers.push(...revealed.launchers.filter(unit => !defenderUnits.launchers.some(l => l.id === unit.id)));
+        defenderUnits.defenses.push(...revealed.defenses.filter(unit => !defenderUnits.defenses.some(d => d.id === unit.id)));
+        event.destroyed.launchers.forEach(id => {
+          const unit = defenderUnits.launchers.find(l => l.id === id);
+          if (unit) unit.destroyed = true;
+        });
+        event.destroyed.defenses.forEach(id => {
+          const unit = defenderUnits.defenses.find(d => d.id === id);
+          if (unit) unit.destroyed = true;
+        });
+        // Health left on every unit hit (replays recorded before the health model have no hits)
+        (event.hits || []).forEach(hit => {
+          const unit = defenderUnits.launchers.find(l => l.id === hit.id) ||
+                       defenderUnits.defenses.find(d => d.id === hit.id);
+          if (unit) unit.health = hit.health;
+        });
+        state.hitTiles[defenderId].push(...event.targetCells);
+        break;
+      }
+
+      case 'manaUpdate':
+      case 'turnChange':
+        state.mana = { ...event.mana };
+        if (event.currentTurn) {
+          state.currentTurn = event.currentTurn;
+        }
+        break;
+
+      case 'gameOver':
+        state.winner = event.winner;
+        state.reason = event.reason;
+        // Both final layouts (replays recorded before they were added have none)
+        if (event.units) {
+          state.units.player1 = cloneUnits(event.units.player1);
+          state.units.player2 = cloneUnits(event.units.player2);
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  // The path of a resolved shot lives on the shotRequested event before it
+  getShotPath(shotEvent) {
+    const shotIndex = this.events.indexOf(shotEvent);
+    for (let i = shotIndex - 1; i >= 0; i--) {
+      const event = this.events[i];
+      if (event.type === 'shotRequested' &&
+          event.playerId === shotEvent.playerId &&
+          event.launcherId === shotEvent.launcherId) {
+        return event.pathTiles || []; // left out for a hidden launcher while spectating
+      }
+    }
+    return [];
+  }
+
+  // Display names from the latest buildPhaseStart/battleStart that has them,
+  // whatever the playback position (older replays have none)
+  getPlayerNames() {
+    for (let i = this.events.length - 1; i >= 0; i--) {
+      if (this.events[i].playerNames) {
+        return { ...this.events[i].playerNames };
+      }
+    }
+    return { player1: null, player2: null };
+  }
+
+  getLauncherType(playerId, launcherId) {
+    const launcher = this.state.units[playerId].launchers.find(l => l.id === launcherId);
+    return launcher ? launcher.type : null;
+  }
+}
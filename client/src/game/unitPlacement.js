@@ -1,5 +1,6 @@
 import { GRID_TILE_SIZE, GRID_OFFSET_X, GRID_OFFSET_Y } from '@shared/constants.js';
 import { MESSAGE_TYPES, GAME_PHASES } from '@shared/types.js';
+import { getUnitSize } from '@shared/utils.js';
 
 export class UnitPlacement {
   constructor(scene, config) {
@@ -7,7 +8,24 @@ export class UnitPlacement {
     this.config = config;
     this.selectedLauncherType = null;
     this.selectedDefenseType = null;
-    this.placedUnits = [];
+    this.placementRotated = false; // orientation of the next unit placed (R toggles it)
+    this.placedUnits = []; // { id, type, launcherType | defenseType, x, y, rotated }, id is null until the server acks
+    // Edits sent to the server and not acknowledged yet, in send order. placedUnits
+    // is always the last acknowledged state with these applied on top.
+    this.pendingEdits = [];
+    this.confirmed = null; // { units, budget } from the last UNIT_ACK
+    this.nextRequestId = 1;
+
+    // Drag-to-move: { unit, offsetX, offsetY, x, y, moved } while a placed unit is held
+    this.drag = null;
+    this.dragPreview = null;
+    this.hoverTile = null; // tile under the pointer, for keyboard shortcuts
+
+    // Undo/redo of the player's own edits. Entries refer to units through handles
+    // ({ id }) because a unit removed and brought back by undo gets a new server id.
+    this.undoStack = [];
+    this.redoStack = [];
+    this.handles = new Map(); // unit id -> handle
   }
 
   selectLauncherType(type) {
@@ -20,11 +38,11 @@ export class UnitPlacement {
     this.selectedLauncherType = null;
   }
 
-  handleClick(pointer) {
+  getGridTile(pointer) {
     // Check if click is on UI buttons (right side)
     if (pointer.x > 950) {
       // Click is on UI panel, ignore
-      return;
+      return null;
     }
     
     const gridX = Math.floor((pointer.x - GRID_OFFSET_X) / GRID_TILE_SIZE);
@@ -32,45 +50,139 @@ export class UnitPlacement {
     
     if (gridX < 0 || gridX >= this.scene.gridSize || 
         gridY < 0 || gridY >= this.scene.gridSize) {
-      return;
+      return null;
     }
+    return { x: gridX, y: gridY };
+  }
     
-    // Check if clicking on an existing unit (to delete it)
-    const clickedUnit = this.findUnitAt(gridX, gridY);
+  handleClick(pointer) {
+    const tile = this.getGridTile(pointer);
+    if (!tile) return;
+
+    // Pressing on an existing unit picks it up: dragging moves it, a plain
+    // click (released on the same spot) deletes it
+    const clickedUnit = this.findUnitAt(tile.x, tile.y);
     if (clickedUnit) {
-      this.removeUnit(clickedUnit);
+      this.startDrag(clickedUnit.unit, tile.x, tile.y);
       return;
     }
     
     // Otherwise, place new unit
     if (this.selectedLauncherType) {
-      this.placeLauncher(gridX, gridY);
+      this.placeLauncher(tile.x, tile.y);
     } else if (this.selectedDefenseType) {
-      this.placeDefense(gridX, gridY);
+      this.placeDefense(tile.x, tile.y);
     } else {
       // No unit selected, show message
       this.scene.onNotification('لطفاً ابتدا نوع واحد را انتخاب کنید');
     }
   }
   
+  handlePointerMove(pointer) {
+    this.hoverTile = this.getGridTile(pointer);
+    if (!this.drag || !this.hoverTile) return;
+
+    const x = this.hoverTile.x - this.drag.offsetX;
+    const y = this.hoverTile.y - this.drag.offsetY;
+    if (x === this.drag.x && y === this.drag.y) return;
+    this.drag.x = x;
+    this.drag.y = y;
+    this.drag.moved = true;
+    this.drawDragPreview();
+  }
+
+  handlePointerUp() {
+    if (!this.drag) return;
+    const { unitId, x, y, moved } = this.drag;
+    this.cancelDrag();
+
+    // placedUnits is replaced by every server update, so the unit is looked up
+    // again: it may have been moved by an undo or be gone since it was picked up
+    const unit = this.placedUnits.find(u => u.id === unitId);
+    if (!unit) return;
+    if (!moved) {
+      this.removeUnit({ unit });
+    } else if (x !== unit.x || y !== unit.y) {
+      this.moveUnit(unit, x, y, unit.rotated === true);
+    }
+  }
+
+  startDrag(unit, tileX, tileY) {
+    if (!this.isConfirmed(unit)) return;
+    this.drag = { unitId: unit.id, offsetX: tileX - unit.x, offsetY: tileY - unit.y, x: unit.x, y: unit.y, moved: false };
+  }
+
+  cancelDrag() {
+    this.drag = null;
+    if (this.dragPreview) {
+      this.dragPreview.destroy();
+      this.dragPreview = null;
+    }
+  }
+
+  // Outline of the held unit at the tile it would be dropped on, red where it can't go
+  drawDragPreview() {
+    if (!this.dragPreview) {
+      this.dragPreview = this.scene.add.graphics();
+      this.dragPreview.setDepth(60); // Above units
+    }
+    const { unitId, x, y } = this.drag;
+    const unit = this.placedUnits.find(u => u.id === unitId);
+    if (!unit) {
+      this.cancelDrag();
+      return;
+    }
+    const [sizeX, sizeY] = getUnitSize(this.getUnitConfig(unit), unit.rotated);
+    const color = this.canPlaceUnit(x, y, sizeX, sizeY, unit) ? 0x44ff44 : 0xff4444;
+    this.dragPreview.clear();
+    this.dragPreview.fillStyle(color, 0.25);
+    this.dragPreview.fillRect(GRID_OFFSET_X + x * GRID_TILE_SIZE, GRID_OFFSET_Y + y * GRID_TILE_SIZE,
+      sizeX * GRID_TILE_SIZE, sizeY * GRID_TILE_SIZE);
+    this.dragPreview.lineStyle(2, color, 1);
+    this.dragPreview.strokeRect(GRID_OFFSET_X + x * GRID_TILE_SIZE, GRID_OFFSET_Y + y * GRID_TILE_SIZE,
+      sizeX * GRID_TILE_SIZE, sizeY * GRID_TILE_SIZE);
+  }
+
+  // Build phase shortcuts (KeyboardEvent.code, so they work on a Persian layout too):
+  // R rotates the unit under the pointer or the next unit to place, Delete removes
+  // the unit under the pointer, Ctrl+Z undoes, Ctrl+Y / Ctrl+Shift+Z redoes and
+  // Escape drops the held unit and the selected unit type
+  handleKeyDown(event) {
+    const ctrl = event.ctrlKey || event.metaKey;
+    if (ctrl && event.code === 'KeyZ') {
+      event.preventDefault?.();
+      if (event.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    } else if (ctrl && event.code === 'KeyY') {
+      event.preventDefault?.();
+      this.redo();
+    } else if (event.code === 'KeyR' && !ctrl) {
+      const hovered = this.hoverTile && this.findUnitAt(this.hoverTile.x, this.hoverTile.y);
+      if (hovered && !this.drag) {
+        this.rotateUnit(hovered.unit);
+      } else {
+        this.placementRotated = !this.placementRotated;
+        this.scene.onNotification(this.placementRotated ? 'واحد بعدی چرخیده قرار می‌گیرد' : 'واحد بعدی بدون چرخش قرار می‌گیرد');
+      }
+    } else if (event.code === 'Delete' || event.code === 'Backspace') {
+      const hovered = this.hoverTile && this.findUnitAt(this.hoverTile.x, this.hoverTile.y);
+      if (hovered && !this.drag) {
+        this.removeUnit(hovered);
+      }
+    } else if (event.code === 'Escape') {
+      this.cancelDrag();
+      this.selectedLauncherType = null;
+      this.selectedDefenseType = null;
+    }
+  }
+
   findUnitAt(x, y) {
     for (let i = 0; i < this.placedUnits.length; i++) {
       const unit = this.placedUnits[i];
-      let unitSizeX = 1, unitSizeY = 1;
-      
-      if (unit.type === 'launcher') {
-        const config = this.config.launchers.find(l => l.id === unit.launcherType);
-        if (config) {
-          unitSizeX = config.size[0];
-          unitSizeY = config.size[1];
-        }
-      } else if (unit.type === 'defense') {
-        const config = this.config.defenses.find(d => d.id === unit.defenseType);
-        if (config) {
-          unitSizeX = config.size[0] || 1;
-          unitSizeY = config.size[1] || 1;
-        }
-      }
+      const [unitSizeX, unitSizeY] = getUnitSize(this.getUnitConfig(unit), unit.rotated);
       
       // Check if click is within unit bounds
       if (x >= unit.x && x < unit.x + unitSizeX &&
@@ -81,42 +193,45 @@ export class UnitPlacement {
     return null;
   }
   
-  removeUnit({ index, unit }) {
-    // Get cost of unit
-    let cost = 0;
-    if (unit.type === 'launcher') {
-      const config = this.config.launchers.find(l => l.id === unit.launcherType);
-      if (config) cost = config.cost;
-    } else if (unit.type === 'defense') {
-      const config = this.config.defenses.find(d => d.id === unit.defenseType);
-      if (config) cost = config.cost;
-    }
-    
-    // Remove from placed units
-    this.placedUnits.splice(index, 1);
-    
-    // Return budget
-    this.scene.buildBudget += cost;
-    if (this.scene.budgetText) {
-      this.scene.budgetText.setText(`بودجه ساخت: ${this.scene.buildBudget}`);
-      // Update position if needed
-      this.scene.budgetText.setX(GRID_OFFSET_X);
-      this.scene.budgetText.setY(GRID_OFFSET_Y - 35);
-    }
-    
-    // Send updated units to server
-    this.scene.gameState.ws.send(JSON.stringify({
-      type: MESSAGE_TYPES.PLACE_UNITS,
-      units: this.placedUnits
+  removeUnit({ unit }) {
+    if (!this.isConfirmed(unit)) return;
+    this.sendEdit({ type: MESSAGE_TYPES.REMOVE_UNIT, unitId: unit.id }, this.recordEdit({
+      kind: 'remove',
+      handle: this.getHandle(unit.id),
+      unit: this.describeUnit(unit)
     }));
     
-    // Re-render
-    this.scene.renderUnits();
-    
     // Show message
     this.scene.onNotification('واحد حذف شد و بودجه برگشت');
   }
 
+  moveUnit(unit, x, y, rotated) {
+    if (!this.isConfirmed(unit)) return false;
+    const [sizeX, sizeY] = getUnitSize(this.getUnitConfig(unit), rotated);
+    if (!this.canPlaceUnit(x, y, sizeX, sizeY, unit)) {
+      this.scene.onNotification(this.getPlacementProblem(x, y, sizeX, sizeY) ||
+        'نمی‌توان در این موقعیت قرار داد (ممکن است با واحد دیگری همپوشانی داشته باشد)');
+      return false;
+    }
+    this.sendEdit({ type: MESSAGE_TYPES.MOVE_UNIT, unitId: unit.id, x, y, rotated }, this.recordEdit({
+      kind: 'move',
+      handle: this.getHandle(unit.id),
+      from: { x: unit.x, y: unit.y, rotated: unit.rotated === true },
+      to: { x, y, rotated }
+    }));
+    return true;
+  }
+
+  // Turns a unit in place; square units look the same either way
+  rotateUnit(unit) {
+    const [sizeX, sizeY] = getUnitSize(this.getUnitConfig(unit));
+    if (sizeX === sizeY) {
+      this.scene.onNotification('این واحد مربعی است و چرخاندن آن تغییری نمی‌دهد');
+      return;
+    }
+    this.moveUnit(unit, unit.x, unit.y, unit.rotated !== true);
+  }
+
   placeLauncher(x, y, launcherType = null) {
     // Use provided launcherType or selectedLauncherType
     const typeToUse = launcherType || this.selectedLauncherType;
@@ -138,39 +253,20 @@ export class UnitPlacement {
     }
     
     // Check if position is valid (not overlapping)
-    const [sizeX, sizeY] = launcherConfig.size;
+    const rotated = this.isPlacementRotated(launcherConfig);
+    const [sizeX, sizeY] = getUnitSize(launcherConfig, rotated);
     const canPlace = this.canPlaceUnit(x, y, sizeX, sizeY);
     
     if (!canPlace) {
       if (!launcherType) { // Only show notification if not auto-placing
-      this.scene.onNotification('نمی‌توان در این موقعیت قرار داد (ممکن است با واحد دیگری همپوشانی داشته باشد)');
+      this.scene.onNotification(this.getPlacementProblem(x, y, sizeX, sizeY) ||
+        'نمی‌توان در این موقعیت قرار داد (ممکن است با واحد دیگری همپوشانی داشته باشد)');
       }
       return false;
     }
     
-    // Add to placed units
-    this.placedUnits.push({
-      type: 'launcher',
-      launcherType: typeToUse,
-      x,
-      y
-    });
-    
-    // Update budget locally
-    this.scene.buildBudget -= launcherConfig.cost;
-    // Update build budget text (only in build phase)
-    if (this.scene.buildBudgetText && this.scene.currentPhase === GAME_PHASES.BUILD) {
-      this.scene.buildBudgetText.setText(`بودجه ساخت: ${this.scene.buildBudget}`);
-    }
-    
-    // Send to server
-    this.scene.gameState.ws.send(JSON.stringify({
-      type: MESSAGE_TYPES.PLACE_UNITS,
-      units: this.placedUnits
-    }));
-    
-    // Render units immediately (optimistic update)
-    this.scene.renderUnits();
+    // Optimistic update, reconciled when the server acknowledges it
+    this.addUnit({ type: 'launcher', launcherType: typeToUse, x, y, rotated });
     
     // Clear selection after placing (only if using selectedLauncherType)
     if (!launcherType) {
@@ -200,39 +296,20 @@ export class UnitPlacement {
     }
     
     // Get size from config
-    const [sizeX, sizeY] = defenseConfig.size || [1, 1];
+    const rotated = this.isPlacementRotated(defenseConfig);
+    const [sizeX, sizeY] = getUnitSize(defenseConfig, rotated);
     
     // Check if position is valid
     const canPlace = this.canPlaceUnit(x, y, sizeX, sizeY);
     
     if (!canPlace) {
-      this.scene.onNotification('نمی‌توان در این موقعیت قرار داد (ممکن است با واحد دیگری همپوشانی داشته باشد)');
+      this.scene.onNotification(this.getPlacementProblem(x, y, sizeX, sizeY) ||
+        'نمی‌توان در این موقعیت قرار داد (ممکن است با واحد دیگری همپوشانی داشته باشد)');
       return;
     }
     
-    // Add to placed units
-    this.placedUnits.push({
-      type: 'defense',
-      defenseType: this.selectedDefenseType,
-      x,
-      y
-    });
-    
-    // Update budget locally
-    this.scene.buildBudget -= defenseConfig.cost;
-    // Update build budget text (only in build phase)
-    if (this.scene.buildBudgetText && this.scene.currentPhase === GAME_PHASES.BUILD) {
-      this.scene.buildBudgetText.setText(`بودجه ساخت: ${this.scene.buildBudget}`);
-    }
-    
-    // Send to server
-    this.scene.gameState.ws.send(JSON.stringify({
-      type: MESSAGE_TYPES.PLACE_UNITS,
-      units: this.placedUnits
-    }));
-    
-    // Render units immediately (optimistic update)
-    this.scene.renderUnits();
+    // Optimistic update, reconciled when the server acknowledges it
+    this.addUnit({ type: 'defense', defenseType: this.selectedDefenseType, x, y, rotated });
     
     // Clear selection after placing
     this.selectedDefenseType = null;
@@ -241,28 +318,200 @@ export class UnitPlacement {
     this.scene.onNotification(`پدافند ${defenseConfig.titleFA} با موفقیت قرار گرفت`);
   }
 
-  canPlaceUnit(x, y, sizeX, sizeY) {
+  // Only non-square units are ever sent rotated
+  isPlacementRotated(unitConfig) {
+    const [sizeX, sizeY] = getUnitSize(unitConfig);
+    return this.placementRotated && sizeX !== sizeY;
+  }
+
+  addUnit(unit) {
+    const handle = { id: null };
+    this.sendEdit({ type: MESSAGE_TYPES.ADD_UNIT, unit }, this.recordEdit({ kind: 'add', handle, unit }), handle);
+  }
+
+  getUnitConfig(unit) {
+    return unit.type === 'launcher'
+      ? this.config.launchers.find(l => l.id === unit.launcherType)
+      : this.config.defenses.find(d => d.id === unit.defenseType);
+  }
+
+  // ADD_UNIT payload that recreates a placed unit
+  describeUnit(unit) {
+    const { id, ...rest } = unit;
+    return { ...rest, rotated: unit.rotated === true };
+  }
+
+  // Units added a moment ago have no server id yet, so they can't be edited
+  isConfirmed(unit) {
+    if (unit.id) return true;
+    this.scene.onNotification('صبر کنید تا این واحد در سرور ثبت شود');
+    return false;
+  }
+
+  getHandle(unitId) {
+    if (!this.handles.has(unitId)) {
+      this.handles.set(unitId, { id: unitId });
+    }
+    return this.handles.get(unitId);
+  }
+
+  // A new edit by the player: undoable, and it ends the redo history
+  recordEdit(entry) {
+    this.undoStack.push(entry);
+    this.redoStack = [];
+    return entry;
+  }
+
+  undo() {
+    const entry = this.undoStack.at(-1);
+    if (!entry) return;
+    if (this.replayEntry(entry, true)) {
+      this.redoStack.push(this.undoStack.pop());
+    }
+  }
+
+  redo() {
+    const entry = this.redoStack.at(-1);
+    if (!entry) return;
+    if (this.replayEntry(entry, false)) {
+      this.undoStack.push(this.redoStack.pop());
+    }
+  }
+
+  // Sends the edit that reverts (inverse) or repeats a history entry. Returns false
+  // when it can't be sent yet because the unit is still waiting for its id.
+  replayEntry(entry, inverse) {
+    const { handle } = entry;
+    const adds = entry.kind === 'add' ? !inverse : entry.kind === 'remove' && inverse;
+    if (!adds && !handle.id) {
+      this.scene.onNotification('صبر کنید تا این واحد در سرور ثبت شود');
+      return false;
+    }
+
+    if (adds) {
+      // The unit comes back with a new id, which the ack stores in the handle
+      handle.id = null;
+      this.sendEdit({ type: MESSAGE_TYPES.ADD_UNIT, unit: entry.unit }, entry, handle);
+    } else if (entry.kind === 'move') {
+      const { x, y, rotated } = inverse ? entry.from : entry.to;
+      this.sendEdit({ type: MESSAGE_TYPES.MOVE_UNIT, unitId: handle.id, x, y, rotated }, entry);
+    } else {
+      this.sendEdit({ type: MESSAGE_TYPES.REMOVE_UNIT, unitId: handle.id }, entry);
+    }
+    return true;
+  }
+
+  // Sends ADD_UNIT / REMOVE_UNIT / MOVE_UNIT and applies it locally right away.
+  // `entry` is the history entry it belongs to, `handle` gets the id of an added unit.
+  sendEdit(edit, entry = null, handle = null) {
+    if (this.pendingEdits.length === 0) {
+      // Nothing in flight: what we show is what the server has
+      this.confirmed = { units: this.placedUnits, budget: this.scene.buildBudget };
+    }
+    const message = { ...edit, requestId: this.nextRequestId++ };
+    this.pendingEdits.push({ ...message, entry, handle });
+    this.scene.gameState.ws.send(JSON.stringify(message));
+    this.rebuildFromConfirmed();
+  }
+
+  applyEdit({ units, budget }, edit) {
+    if (edit.type === MESSAGE_TYPES.ADD_UNIT) {
+      const cost = this.getUnitConfig(edit.unit)?.cost || 0;
+      return { units: [...units, { ...edit.unit, id: null }], budget: budget - cost };
+    }
+    const unit = units.find(u => u.id === edit.unitId);
+    if (!unit) {
+      return { units, budget };
+    }
+    if (edit.type === MESSAGE_TYPES.REMOVE_UNIT) {
+      const cost = this.getUnitConfig(unit)?.cost || 0;
+      return { units: units.filter(u => u !== unit), budget: budget + cost };
+    }
+    return {
+      units: units.map(u => (u === unit ? { ...u, x: edit.x, y: edit.y, rotated: edit.rotated ?? u.rotated } : u)),
+      budget
+    };
+  }
+
+  rebuildFromConfirmed() {
+    const state = this.pendingEdits.reduce((current, edit) => this.applyEdit(current, edit), this.confirmed);
+    this.placedUnits = state.units;
+    this.scene.buildBudget = state.budget;
+    // Update build budget text (only in build phase)
+    if (this.scene.buildBudgetText && this.scene.currentPhase === GAME_PHASES.BUILD) {
+      this.scene.buildBudgetText.setText(`بودجه ساخت: ${this.scene.buildBudget}`);
+    }
+    this.scene.renderUnits();
+  }
+
+  // UNIT_ACK: take the server's units and budget as the new confirmed state and
+  // replay the edits still in flight on top. A rejected edit simply drops out,
+  // which rolls its optimistic update back.
+  handleAck(data) {
+    const index = this.pendingEdits.findIndex(edit => edit.requestId === data.requestId);
+    if (index === -1) return;
+    const [edit] = this.pendingEdits.splice(index, 1);
+
+    if (data.units) {
+      this.confirmed = { units: UnitPlacement.fromServerUnits(data.units), budget: data.buildBudget };
+    }
+
+    if (data.success && edit.handle) {
+      edit.handle.id = data.unitId;
+      this.handles.set(data.unitId, edit.handle);
+    }
+
+    if (!data.success) {
+      // Nothing happened on the server, so there is nothing to undo or redo
+      if (edit.entry) {
+        this.undoStack = this.undoStack.filter(entry => entry !== edit.entry);
+        this.redoStack = this.redoStack.filter(entry => entry !== edit.entry);
+      }
+      const unit = edit.unit || this.placedUnits.find(u => u.id === edit.unitId);
+      this.scene.onNotification(this.scene.describePlacementError(data, unit) || data.message);
+      this.scene.audioController?.playSound('error');
+    }
+    this.rebuildFromConfirmed();
+  }
+
+  // Resumed session: the server's units replace everything, history included
+  resetFromServer(units) {
+    this.placedUnits = UnitPlacement.fromServerUnits(units);
+    this.pendingEdits = [];
+    this.undoStack = [];
+    this.redoStack = [];
+    this.handles = new Map();
+    this.cancelDrag();
+  }
+
+  // Server units ({ launchers, defenses } with type = unit type id) as placedUnits entries
+  static fromServerUnits(units) {
+    return [
+      ...units.launchers.map(l => ({ id: l.id, type: 'launcher', launcherType: l.type, x: l.x, y: l.y, rotated: l.rotated === true })),
+      ...units.defenses.map(d => ({ id: d.id, type: 'defense', defenseType: d.type, x: d.x, y: d.y, rotated: d.rotated === true }))
+    ];
+  }
+
+  // `ignoreUnit` is left out of the overlap check (the unit being moved or rotated)
+  canPlaceUnit(x, y, sizeX, sizeY, ignoreUnit = null) {
     // Check bounds
-    if (x + sizeX > this.scene.gridSize || y + sizeY > this.scene.gridSize) {
+    if (x < 0 || y < 0 || x + sizeX > this.scene.gridSize || y + sizeY > this.scene.gridSize) {
+      return false;
+    }
+    
+    // Water, mountains and structures can't be built on, and units must stay in
+    // the player's deployment zone (same checks as the server)
+    if (this.scene.terrain && !this.scene.terrain.isAreaPlaceable(x, y, sizeX, sizeY)) {
+      return false;
+    }
+    if (this.scene.deploymentZone && !this.scene.deploymentZone.containsArea(x, y, sizeX, sizeY)) {
       return false;
     }
     
     // Check overlap with existing units
     for (const unit of this.placedUnits) {
-      let unitSizeX = 1, unitSizeY = 1;
-      if (unit.type === 'launcher') {
-        const config = this.config.launchers.find(l => l.id === unit.launcherType);
-        if (config) {
-          unitSizeX = config.size[0];
-          unitSizeY = config.size[1];
-        }
-      } else if (unit.type === 'defense') {
-        const config = this.config.defenses.find(d => d.id === unit.defenseType);
-        if (config) {
-          unitSizeX = config.size[0] || 1;
-          unitSizeY = config.size[1] || 1;
-        }
-      }
+      if (unit === ignoreUnit) continue;
+      const [unitSizeX, unitSizeY] = getUnitSize(this.getUnitConfig(unit), unit.rotated);
       
       // Check overlap
       if (!(x + sizeX <= unit.x || x >= unit.x + unitSizeX ||
@@ -273,6 +522,16 @@ export class UnitPlacement {
     
     return true;
   }
+
+  // Why this footprint can't be built on, null if it's only an overlap (or fine)
+  getPlacementProblem(x, y, sizeX, sizeY) {
+    const blocked = this.scene.terrain?.getBlockedPlacement(x, y, sizeX, sizeY);
+    if (blocked) return `نمی‌توان روی ${blocked.titleFA} واحد ساخت`;
+    if (this.scene.deploymentZone && !this.scene.deploymentZone.containsArea(x, y, sizeX, sizeY)) {
+      return 'فقط در منطقه استقرار خود می‌توانید واحد بسازید';
+    }
+    return null;
+  }
 }
 
 
@@ -0,0 +1,213 @@
+// Player accounts
+// Register/login with a username and password, session tokens for the REST
+// endpoints (Authorization: Bearer) and WebSocket connections (?token=), and
+// per-account display name, settings and match history. Playing without an
+// account still works: everything here is optional for a client.
+// Functions return { error, status } instead of throwing for anything the
+// client got wrong, like the room handlers do.
+
+import { randomBytes, randomUUID, scrypt, timingSafeEqual, createHash } from 'crypto';
+import { promisify } from 'util';
+import { createStorage } from './storage/index.js';
+import { normalizeDisplayName } from '../shared/displayName.js';
+import logger from '../shared/logger.js';
+
+const scryptAsync = promisify(scrypt);
+
+const USERNAME_PATTERN = /^[a-z0-9_]{3,20}$/; // compared lowercased
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+const PASSWORD_KEY_LENGTH = 64; // scrypt output bytes
+const MAX_SETTINGS_LENGTH = 4096; // settings JSON, in characters
+const DEFAULT_SESSION_TTL_HOURS = 720;
+const DEFAULT_MAX_MATCH_HISTORY = 50;
+const SESSION_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let storage = null;
+let accountsConfig = {};
+
+// Opens the storage picked in config.json (`accounts`); called once at boot.
+// Storage keys are only read here, a config reload doesn't move the data.
+export async function initAccounts(config) {
+  accountsConfig = config.accounts || {};
+  storage = createStorage(accountsConfig);
+  await storage.init();
+  await dropExpiredSessions();
+}
+
+export function startSessionCleanup() {
+  const timer = setInterval(() => {
+    dropExpiredSessions().catch(error => logger.error('Failed to drop expired sessions:', error));
+  }, SESSION_CLEANUP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+async function dropExpiredSessions() {
+  const dropped = await storage.deleteExpiredSessions(Date.now());
+  if (dropped > 0) {
+    logger.info(`Dropped ${dropped} expired sessions`);
+  }
+}
+
+// Salted scrypt hash, both hex encoded
+async function hashPassword(password, salt = randomBytes(16).toString('hex')) {
+  const hash = await scryptAsync(password, salt, PASSWORD_KEY_LENGTH);
+  return { salt, hash: hash.toString('hex') };
+}
+
+async function verifyPassword(password, account) {
+  const { hash } = await hashPassword(password, account.passwordSalt);
+  return timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(account.passwordHash, 'hex'));
+}
+
+// Checked instead of a real account when the username is unknown, so a failed
+// login takes as long either way and doesn't tell which usernames exist
+const DUMMY_ACCOUNT = {
+  passwordSalt: '00000000000000000000000000000000',
+  passwordHash: '00'.repeat(PASSWORD_KEY_LENGTH)
+};
+
+// Only a hash of each token is stored, so a leaked storage file can't be used to sign in
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+async function createSession(accountId) {
+  const token = randomBytes(32).toString('hex');
+  const ttlHours = accountsConfig.sessionTtlHours ?? DEFAULT_SESSION_TTL_HOURS;
+  const now = Date.now();
+  await storage.saveSession({
+    tokenHash: hashToken(token),
+    accountId,
+    createdAt: now,
+    expiresAt: now + ttlHours * 60 * 60 * 1000
+  });
+  return token;
+}
+
+// What the client gets to see of an account (never the password hash)
+export function toPublicAccount(account) {
+  return {
+    id: account.id,
+    username: account.username,
+    displayName: account.displayName,
+    settings: account.settings,
+    createdAt: account.createdAt
+  };
+}
+
+function validateCredentials(username, password) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username.toLowerCase())) {
+    return 'Username must be 3-20 Latin letters, digits or _';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function validateSettings(settings) {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    return 'Settings must be an object';
+  }
+  if (JSON.stringify(settings).length > MAX_SETTINGS_LENGTH) {
+    return `Settings are larger than ${MAX_SETTINGS_LENGTH} characters`;
+  }
+  return null;
+}
+
+// { account, token } for the new account, signed in right away. The display
+// name defaults to the username.
+export async function register({ username, password, displayName } = {}) {
+  const credentialsError = validateCredentials(username, password);
+  if (credentialsError) return { error: credentialsError, status: 400 };
+
+  const normalizedUsername = username.toLowerCase();
+  const name = normalizeDisplayName(displayName ?? normalizedUsername);
+  if (name.error) return { error: name.error, status: 400 };
+
+  if (await storage.findAccountByUsername(normalizedUsername)) {
+    return { error: 'Username is taken', status: 409 };
+  }
+
+  const { salt, hash } = await hashPassword(password);
+  const account = await storage.createAccount({
+    id: randomUUID(),
+    username: normalizedUsername,
+    displayName: name.name ?? normalizedUsername,
+    passwordSalt: salt,
+    passwordHash: hash,
+    settings: {},
+    createdAt: new Date().toISOString()
+  });
+  if (!account) {
+    return { error: 'Username is taken', status: 409 };
+  }
+  logger.info(`Account registered: ${account.username}`);
+  return { account: toPublicAccount(account), token: await createSession(account.id) };
+}
+
+// { account, token }; unknown usernames and wrong passwords get the same answer
+export async function login({ username, password } = {}) {
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return { error: 'Invalid username or password', status: 401 };
+  }
+  const account = await storage.findAccountByUsername(username.toLowerCase());
+  const passwordMatches = await verifyPassword(password, account || DUMMY_ACCOUNT);
+  if (!account || !passwordMatches) {
+    logger.warn(`Failed login for ${username.toLowerCase()}`);
+    return { error: 'Invalid username or password', status: 401 };
+  }
+  logger.info(`Account signed in: ${account.username}`);
+  return { account: toPublicAccount(account), token: await createSession(account.id) };
+}
+
+export async function logout(token) {
+  if (typeof token !== 'string') return;
+  await storage.deleteSession(hashToken(token));
+}
+
+// The account a session token belongs to, or null (unknown or expired token)
+export async function getAccountForToken(token) {
+  if (typeof token !== 'string' || token === '') return null;
+  const tokenHash = hashToken(token);
+  const session = await storage.getSession(tokenHash);
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    await storage.deleteSession(tokenHash);
+    return null;
+  }
+  return storage.getAccount(session.accountId);
+}
+
+// Changes the display name and/or replaces the settings object
+export async function updateAccount(accountId, { displayName, settings } = {}) {
+  const changes = {};
+  if (displayName !== undefined) {
+    const name = normalizeDisplayName(displayName);
+    if (name.error) return { error: name.error, status: 400 };
+    if (!name.name) return { error: 'Display name is empty', status: 400 };
+    changes.displayName = name.name;
+  }
+  if (settings !== undefined) {
+    const settingsError = validateSettings(settings);
+    if (settingsError) return { error: settingsError, status: 400 };
+    changes.settings = settings;
+  }
+
+  const account = await storage.updateAccount(accountId, changes);
+  if (!account) return { error: 'Account not found', status: 404 };
+  return { account: toPublicAccount(account) };
+}
+
+// match: { roomId, finishedAt, playerId, opponentName, vsAI, won, reason, preset, map }
+export async function recordMatch(accountId, match) {
+  const maxMatches = accountsConfig.maxMatchHistory ?? DEFAULT_MAX_MATCH_HISTORY;
+  await storage.addMatch(accountId, match, maxMatches);
+}
+
+export async function getMatchHistory(accountId, limit) {
+  const maxMatches = accountsConfig.maxMatchHistory ?? DEFAULT_MAX_MATCH_HISTORY;
+  return storage.getMatches(accountId, Math.min(limit ?? maxMatches, maxMatches));
+}
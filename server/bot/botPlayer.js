@@ -0,0 +1,152 @@
+// Server-side AI opponent. It sits in a room like a human player: GameManager
+// talks to it through a fake socket, and it answers with the same client
+// messages (PLACE_UNITS, READY, REQUEST_SHOT, END_TURN) via `sendToServer`.
+
+import { MESSAGE_TYPES, GAME_PHASES } from '../../shared/types.js';
+import { planPlacement, planShot, DIFFICULTIES, DEFAULT_DIFFICULTY } from './planner.js';
+import logger from '../../shared/logger.js';
+
+const DEFAULT_THINK_TIME_MS = 1200;
+
+export function isValidDifficulty(difficulty) {
+  return Object.prototype.hasOwnProperty.call(DIFFICULTIES, difficulty);
+}
+
+export class BotPlayer {
+  constructor({ roomId, playerId, config, difficulty = DEFAULT_DIFFICULTY, sendToServer, random = Math.random }) {
+    this.roomId = roomId;
+    this.playerId = playerId;
+    this.config = config;
+    this.difficulty = isValidDifficulty(difficulty) ? difficulty : DEFAULT_DIFFICULTY;
+    this.sendToServer = sendToServer; // (ws, message) -> routes like a real client message
+    this.random = random;
+    this.thinkTimeMs = config.ai?.thinkTimeMs ?? DEFAULT_THINK_TIME_MS;
+    this.timers = new Set();
+    this.disposed = false;
+
+    // What the bot knows, built only from server messages
+    this.phase = GAME_PHASES.WAITING;
+    this.hasPlaced = false;
+    this.currentTurn = null;
+    this.mana = 0;
+    this.units = { launchers: [], defenses: [] };
+    this.opponentUnits = { launchers: [], defenses: [] };
+    this.exploredTiles = [];
+    this.turnNumber = 0; // Bumped on every BATTLE_STATE / TURN_CHANGE to drop stale moves
+
+    // Stand-in for a WebSocket. Delivery is deferred so the bot never reacts in
+    // the middle of GameManager handling another message.
+    this.ws = {
+      readyState: 1, // WebSocket.OPEN
+      isBot: true,
+      send: (data) => {
+        this.schedule(0, () => this.handleMessage(JSON.parse(data)));
+      }
+    };
+  }
+
+  schedule(delay, callback) {
+    if (this.disposed) return;
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      if (!this.disposed) callback();
+    }, delay);
+    this.timers.add(timer);
+  }
+
+  send(message) {
+    if (this.disposed) return;
+    this.sendToServer(this.ws, message);
+  }
+
+  handleMessage(data) {
+    switch (data.type) {
+      case MESSAGE_TYPES.BUILD_PHASE_STATE:
+        this.phase = GAME_PHASES.BUILD;
+        if (!this.hasPlaced && typeof data.buildBudget === 'number') {
+          this.hasPlaced = true;
+          this.schedule(this.thinkTimeMs, () => this.placeUnits(data.buildBudget));
+        }
+        break;
+
+      case MESSAGE_TYPES.ERROR:
+        // Battle couldn't start (someone had no launcher) and ready flags were reset
+        if (this.phase === GAME_PHASES.BUILD && this.hasPlaced) {
+          this.schedule(this.thinkTimeMs, () => this.send({ type: MESSAGE_TYPES.READY }));
+        }
+        break;
+
+      case MESSAGE_TYPES.BATTLE_STATE:
+      case MESSAGE_TYPES.TURN_CHANGE:
+        this.phase = GAME_PHASES.BATTLE;
+        this.updateState(data);
+        this.currentTurn = data.currentTurn;
+        this.turnNumber++;
+        if (this.currentTurn === this.playerId) {
+          this.planTurn(this.turnNumber);
+        }
+        break;
+
+      case MESSAGE_TYPES.APPLY_DAMAGE:
+      case MESSAGE_TYPES.MANA_UPDATE:
+        this.updateState(data);
+        break;
+
+      case MESSAGE_TYPES.SHOT_REJECTED:
+        // Shouldn't happen (planner follows the server rules) - don't stall the turn
+        logger.room(this.roomId, `Bot shot rejected: ${data.reason}`);
+        if (this.phase === GAME_PHASES.BATTLE && this.currentTurn === this.playerId) {
+          this.send({ type: MESSAGE_TYPES.END_TURN });
+        }
+        break;
+
+      case MESSAGE_TYPES.GAME_OVER:
+        this.phase = GAME_PHASES.GAME_OVER;
+        this.dispose();
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  updateState(data) {
+    if (data.mana) this.mana = data.mana[this.playerId] ?? this.mana;
+    if (data.units) this.units = data.units;
+    if (data.opponentUnits) this.opponentUnits = data.opponentUnits;
+    if (data.exploredTiles) this.exploredTiles = data.exploredTiles;
+  }
+
+  placeUnits(buildBudget) {
+    const units = planPlacement(this.config, buildBudget, this.difficulty, this.random, this.playerId);
+    logger.room(this.roomId, `Bot (${this.difficulty}) placing ${units.length} units`);
+    this.send({ type: MESSAGE_TYPES.PLACE_UNITS, units });
+    this.send({ type: MESSAGE_TYPES.READY });
+  }
+
+  planTurn(turnNumber) {
+    this.schedule(this.thinkTimeMs, () => {
+      // The turn may have timed out while "thinking"
+      if (this.phase !== GAME_PHASES.BATTLE || this.turnNumber !== turnNumber) return;
+
+      const shot = planShot(this.config, {
+        mana: this.mana,
+        units: this.units,
+        opponentUnits: this.opponentUnits,
+        exploredTiles: this.exploredTiles
+      }, this.difficulty, this.random);
+
+      if (shot) {
+        this.send({ type: MESSAGE_TYPES.REQUEST_SHOT, ...shot });
+      } else {
+        this.send({ type: MESSAGE_TYPES.END_TURN });
+      }
+    });
+  }
+
+  dispose() {
+    this.disposed = true;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
@@ -0,0 +1,384 @@
+// Decision making for the AI opponent: unit placement and missile paths.
+// Pure functions over plain unit data (as sent to clients), so the bot only
+// uses what a human player in its seat could see.
+
+import { isInCoverage, getUnitSize } from '../../shared/utils.js';
+import { TerrainGrid } from '../../shared/terrain.js';
+import { DeploymentZone } from '../../shared/deployment.js';
+
+// Per-difficulty behaviour
+export const DIFFICULTIES = {
+  easy: {
+    defenseShare: 0, // Share of the build budget spent on defenses
+    spreadLaunchers: false,
+    guardLaunchers: false,
+    avoidDefenses: false,
+    targetRevealedLaunchers: false,
+    saveMana: false, // Hold fire to afford a much better shot with a bigger launcher
+    mistakeChance: 0.35 // Chance to fire at a random reachable tile instead of the best one
+  },
+  normal: {
+    defenseShare: 0.3,
+    spreadLaunchers: true,
+    guardLaunchers: false,
+    avoidDefenses: true,
+    targetRevealedLaunchers: false,
+    saveMana: true,
+    mistakeChance: 0.1
+  },
+  hard: {
+    defenseShare: 0.4,
+    spreadLaunchers: true,
+    guardLaunchers: true,
+    avoidDefenses: true,
+    targetRevealedLaunchers: true,
+    saveMana: true,
+    mistakeChance: 0
+  }
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// Interception chances are capped so a known defense never makes a path "impossible"
+const MAX_INTERCEPT_CHANCE = 0.99;
+// Extra target value per revealed, still standing launcher tile in the blast
+const REVEALED_LAUNCHER_BONUS = 25;
+// Saving bots only fire a cheaper launcher if it's worth at least this share of the best shot
+const SAVE_MANA_RATIO = 0.5;
+
+function pick(random, items) {
+  return items[Math.floor(random() * items.length)];
+}
+
+// Same footprint rules as UnitPlacement / GameManager.isAreaFree
+function isAreaFree(occupied, x, y, sizeX, sizeY, gridSize) {
+  if (x < 0 || y < 0 || x + sizeX > gridSize || y + sizeY > gridSize) return false;
+  for (let dy = 0; dy < sizeY; dy++) {
+    for (let dx = 0; dx < sizeX; dx++) {
+      if (occupied.has(`${x + dx},${y + dy}`)) return false;
+    }
+  }
+  return true;
+}
+
+function occupy(occupied, x, y, sizeX, sizeY) {
+  for (let dy = 0; dy < sizeY; dy++) {
+    for (let dx = 0; dx < sizeX; dx++) {
+      occupied.add(`${x + dx},${y + dy}`);
+    }
+  }
+}
+
+function getFreePositions(occupied, unitConfig, gridSize) {
+  const [sizeX, sizeY] = getUnitSize(unitConfig);
+  const positions = [];
+  for (let y = 0; y + sizeY <= gridSize; y++) {
+    for (let x = 0; x + sizeX <= gridSize; x++) {
+      if (isAreaFree(occupied, x, y, sizeX, sizeY, gridSize)) {
+        positions.push({ x, y });
+      }
+    }
+  }
+  return positions;
+}
+
+// Best position by score, ties broken randomly
+function pickBestPosition(positions, score, random) {
+  let best = [];
+  let bestScore = -Infinity;
+  for (const position of positions) {
+    const value = score(position);
+    if (value > bestScore) {
+      best = [position];
+      bestScore = value;
+    } else if (value === bestScore) {
+      best.push(position);
+    }
+  }
+  return best.length > 0 ? pick(random, best) : null;
+}
+
+// Unit types to buy: a launcher first, then defenses up to the difficulty's
+// share of the budget, then launchers (largest first) with whatever is left
+function chooseUnitTypes(config, budget, settings, random) {
+  const launchersByCost = [...config.launchers].sort((a, b) => b.cost - a.cost);
+  const cheapestLauncher = launchersByCost[launchersByCost.length - 1];
+  const choices = [];
+  let remaining = budget;
+
+  if (!cheapestLauncher || cheapestLauncher.cost > remaining) return choices;
+
+  if (settings.spreadLaunchers) {
+    // Strongest launcher that still leaves room for the defense share
+    const defenseBudget = Math.floor(budget * settings.defenseShare);
+    const first = launchersByCost.find(l => l.cost <= remaining - defenseBudget) || cheapestLauncher;
+    choices.push({ type: 'launcher', config: first });
+    remaining -= first.cost;
+
+    const defensesByCost = [...config.defenses].sort((a, b) => b.cost - a.cost);
+    const defense = defensesByCost.find(d => d.cost <= Math.min(defenseBudget, remaining));
+    if (defense) {
+      choices.push({ type: 'defense', config: defense });
+      remaining -= defense.cost;
+    }
+  } else {
+    const first = pick(random, config.launchers.filter(l => l.cost <= remaining));
+    choices.push({ type: 'launcher', config: first });
+    remaining -= first.cost;
+  }
+
+  let affordable = config.launchers.filter(l => l.cost <= remaining);
+  while (affordable.length > 0) {
+    const next = settings.spreadLaunchers
+      ? affordable.sort((a, b) => b.cost - a.cost)[0]
+      : pick(random, affordable);
+    choices.push({ type: 'launcher', config: next });
+    remaining -= next.cost;
+    affordable = config.launchers.filter(l => l.cost <= remaining);
+  }
+  return choices;
+}
+
+// PLACE_UNITS payload within the build budget, inside `playerId`'s deployment zone
+export function planPlacement(config, budget, difficulty, random = Math.random, playerId = null) {
+  const settings = DIFFICULTIES[difficulty] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+  const gridSize = config.gridSize;
+  const occupied = new Set();
+  const units = [];
+  const launchers = [];
+
+  // Water, mountains, structures and tiles outside the deployment zone count as taken
+  const terrain = new TerrainGrid(config.terrain, gridSize, config.structures);
+  const zone = DeploymentZone.forPlayer(config, playerId);
+  for (let y = 0; y < gridSize; y++) {
+    for (let x = 0; x < gridSize; x++) {
+      if (terrain.blocksPlacement(x, y) || !zone.contains(x, y)) occupied.add(`${x},${y}`);
+    }
+  }
+
+  const choices = chooseUnitTypes(config, budget, settings, random);
+  // Launchers go down first so defenses can be placed to guard them
+  const ordered = [
+    ...choices.filter(c => c.type === 'launcher'),
+    ...choices.filter(c => c.type === 'defense')
+  ];
+
+  for (const choice of ordered) {
+    const positions = getFreePositions(occupied, choice.config, gridSize);
+    if (positions.length === 0) continue;
+
+    let position;
+    if (choice.type === 'launcher' && settings.spreadLaunchers && launchers.length > 0) {
+      // Keep launchers apart so one blast can't take out several
+      position = pickBestPosition(positions, ({ x, y }) =>
+        Math.min(...launchers.map(l => Math.max(Math.abs(l.x - x), Math.abs(l.y - y))))
+      , random);
+    } else if (choice.type === 'defense' && settings.guardLaunchers) {
+      // Cover as many launcher tiles as possible
+      position = pickBestPosition(positions, ({ x, y }) =>
+        launchers.filter(l => isInCoverage(x, y, l.x, l.y, choice.config.coverage)).length
+      , random);
+    } else {
+      position = pick(random, positions);
+    }
+
+    const [sizeX, sizeY] = getUnitSize(choice.config);
+    occupy(occupied, position.x, position.y, sizeX, sizeY);
+    if (choice.type === 'launcher') {
+      launchers.push(position);
+      units.push({ type: 'launcher', launcherType: choice.config.id, ...position });
+    } else {
+      units.push({ type: 'defense', defenseType: choice.config.id, ...position });
+    }
+  }
+  return units;
+}
+
+// Interception risk of flying through a tile: -log(survival chance) summed over
+// the known defenses covering it, so path risks simply add up
+function buildRiskMap(config, knownDefenses, terrain) {
+  const gridSize = config.gridSize;
+  const risk = [];
+  for (let y = 0; y < gridSize; y++) {
+    risk.push(new Array(gridSize).fill(0));
+  }
+  for (const defense of knownDefenses) {
+    if (defense.destroyed) continue;
+    const defenseConfig = config.defenses.find(d => d.id === defense.type);
+    if (!defenseConfig) continue;
+    for (let y = 0; y < gridSize; y++) {
+      for (let x = 0; x < gridSize; x++) {
+        if (isInCoverage(defense.x, defense.y, x, y, defenseConfig.coverage)) {
+          const chance = Math.min(
+            defenseConfig.interceptChance * terrain.getInterceptMultiplier(x, y),
+            MAX_INTERCEPT_CHANCE
+          );
+          risk[y][x] += -Math.log(1 - chance);
+        }
+      }
+    }
+  }
+  return risk;
+}
+
+// Lowest-risk 8-directional path from `from` to every tile within `maxTiles`
+// path tiles (validatePath range), going around terrain that blocks missiles.
+// Returns a function target -> { path, risk }.
+function findSafestPaths(from, maxTiles, risk, gridSize, terrain) {
+  // best[steps] maps "x,y" -> { risk, prev }
+  const best = [new Map([[`${from.x},${from.y}`, { risk: risk[from.y][from.x], prev: null }]])];
+  for (let steps = 1; steps < maxTiles; steps++) {
+    const layer = new Map();
+    best[steps - 1].forEach((entry, key) => {
+      const [x, y] = key.split(',').map(Number);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= gridSize || ny >= gridSize) continue;
+          if (terrain.blocksMissiles(nx, ny)) continue;
+          const nextKey = `${nx},${ny}`;
+          const nextRisk = entry.risk + risk[ny][nx];
+          const existing = layer.get(nextKey);
+          if (!existing || nextRisk < existing.risk) {
+            layer.set(nextKey, { risk: nextRisk, prev: key });
+          }
+        }
+      }
+    });
+    best.push(layer);
+  }
+
+  return (target) => {
+    const key = `${target.x},${target.y}`;
+    let bestSteps = -1;
+    for (let steps = 1; steps < best.length; steps++) {
+      const entry = best[steps].get(key);
+      // Prefer the shorter path when risks tie (fewer tiles = fewer rolls in practice)
+      if (entry && (bestSteps === -1 || entry.risk < best[bestSteps].get(key).risk - 1e-9)) {
+        bestSteps = steps;
+      }
+    }
+    if (bestSteps === -1) return null;
+
+    const path = [];
+    let currentKey = key;
+    for (let steps = bestSteps; steps >= 0; steps--) {
+      const [x, y] = currentKey.split(',').map(Number);
+      path.unshift({ x, y });
+      currentKey = best[steps].get(currentKey).prev;
+    }
+    return { path, risk: best[bestSteps].get(key).risk };
+  };
+}
+
+// Straight-line path, used when the bot doesn't bother avoiding defenses
+function findStraightPath(from, target, maxTiles, terrain) {
+  const path = [{ x: from.x, y: from.y }];
+  let { x, y } = from;
+  while (x !== target.x || y !== target.y) {
+    x += Math.sign(target.x - x);
+    y += Math.sign(target.y - y);
+    if (terrain.blocksMissiles(x, y)) return null;
+    path.push({ x, y });
+  }
+  return path.length >= 2 && path.length <= maxTiles ? path : null;
+}
+
+// How much firing at `target` is worth: unexplored tiles in the blast, plus a
+// bonus for revealed launchers that are still standing (hard bots only)
+function scoreTarget(config, launcherConfig, target, explored, revealedLauncherTiles) {
+  const [aoeWidth, aoeHeight] = launcherConfig.aoe;
+  const halfWidth = Math.floor(aoeWidth / 2);
+  const halfHeight = Math.floor(aoeHeight / 2);
+  let score = 0;
+  for (let dy = -halfHeight; dy <= halfHeight; dy++) {
+    for (let dx = -halfWidth; dx <= halfWidth; dx++) {
+      const x = target.x + dx;
+      const y = target.y + dy;
+      if (x < 0 || y < 0 || x >= config.gridSize || y >= config.gridSize) continue;
+      const key = `${x},${y}`;
+      if (!explored.has(key)) score++;
+      if (revealedLauncherTiles.has(key)) score += REVEALED_LAUNCHER_BONUS;
+    }
+  }
+  return score;
+}
+
+function getRevealedLauncherTiles(config, opponentUnits) {
+  const tiles = new Set();
+  for (const launcher of opponentUnits.launchers || []) {
+    if (launcher.destroyed) continue;
+    const launcherConfig = config.launchers.find(l => l.id === launcher.type);
+    const [sizeX, sizeY] = launcherConfig ? getUnitSize(launcherConfig, launcher.rotated) : [1, 1];
+    occupy(tiles, launcher.x, launcher.y, sizeX, sizeY);
+  }
+  return tiles;
+}
+
+// REQUEST_SHOT payload ({ launcherId, pathTiles }) or null to end the turn.
+// state: { mana, units, opponentUnits, exploredTiles } as received from the server
+export function planShot(config, state, difficulty, random = Math.random) {
+  const settings = DIFFICULTIES[difficulty] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+  const gridSize = config.gridSize;
+  const explored = new Set((state.exploredTiles || []).map(t => `${t.x},${t.y}`));
+  const revealedLauncherTiles = settings.targetRevealedLaunchers
+    ? getRevealedLauncherTiles(config, state.opponentUnits)
+    : new Set();
+  const terrain = new TerrainGrid(config.terrain, gridSize, config.structures);
+  const risk = buildRiskMap(config, settings.avoidDefenses ? (state.opponentUnits?.defenses || []) : [], terrain);
+
+  // Unaffordable launchers are planned too, to decide whether to save mana for them
+  const alive = (state.units?.launchers || [])
+    .filter(l => !l.destroyed)
+    .map(launcher => ({ launcher, launcherConfig: config.launchers.find(c => c.id === launcher.type) }))
+    .filter(({ launcherConfig }) => launcherConfig);
+
+  const candidates = [];
+  for (const { launcher, launcherConfig } of alive) {
+    const maxTiles = launcherConfig.range;
+    const safestPath = settings.avoidDefenses
+      ? findSafestPaths(launcher, maxTiles, risk, gridSize, terrain)
+      : null;
+
+    for (let y = 0; y < gridSize; y++) {
+      for (let x = 0; x < gridSize; x++) {
+        if (x === launcher.x && y === launcher.y) continue;
+        const target = { x, y };
+        const route = safestPath
+          ? safestPath(target)
+          : (() => {
+              const path = findStraightPath(launcher, target, maxTiles, terrain);
+              return path ? { path, risk: 0 } : null;
+            })();
+        if (!route) continue;
+
+        const score = scoreTarget(config, launcherConfig, target, explored, revealedLauncherTiles);
+        candidates.push({
+          launcherId: launcher.id,
+          pathTiles: route.path,
+          affordable: launcherConfig.manaCost <= state.mana,
+          // Expected value: target value times the chance of getting through
+          value: score * Math.exp(-route.risk)
+        });
+      }
+    }
+  }
+  const affordable = candidates.filter(c => c.affordable);
+  if (affordable.length === 0) return null;
+
+  if (random() < settings.mistakeChance) {
+    const { launcherId, pathTiles } = pick(random, affordable);
+    return { launcherId, pathTiles };
+  }
+
+  const bestValue = Math.max(...affordable.map(c => c.value));
+  const bestOverall = Math.max(...candidates.map(c => c.value));
+  if (settings.saveMana && state.mana < config.mana.maxMana && bestValue < bestOverall * SAVE_MANA_RATIO) {
+    return null;
+  }
+
+  const { launcherId, pathTiles } = pick(random, affordable.filter(c => c.value >= bestValue - 1e-9));
+  return { launcherId, pathTiles };
+}
@@ -0,0 +1,113 @@
+// Loading config.json
+// The file is validated against config.schema.json (plus the cross-field rules in
+// validators/config.js) so a bad edit fails at boot instead of mid-match.
+// While the server runs the file is watched: valid edits replace the current
+// config for new rooms, running rooms keep the snapshot they were created with.
+// Map files (maps.js) are read with the config: they depend on it (launcher
+// sizes, terrain types) so they are checked again on every reload.
+
+import { readFileSync, watchFile, unwatchFile } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { validateConfig } from './validators/config.js';
+import { validatePresets } from './presets.js';
+import { readMaps } from './maps.js';
+import logger from '../shared/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const CONFIG_PATH = join(__dirname, 'config.json');
+
+const CONFIG_WATCH_INTERVAL_MS = 1000;
+
+// Current config. Reloads swap in a new object and never mutate the old one,
+// so references held by rooms stay valid snapshots.
+let currentConfig = null;
+let currentMaps = new Map();
+let currentVersion = 0;
+
+// Returns { config, errors }; config is null when the file can't be read or parsed
+export function readConfigFile(file = CONFIG_PATH) {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (error) {
+    return { config: null, errors: [`(file): ${error.message}`] };
+  }
+
+  const { valid, errors } = validateConfig(config);
+  return { config, errors: valid ? validatePresets(config) : errors };
+}
+
+// Config plus the maps checked against it: { config, maps, errors }
+function readConfigAndMaps(file) {
+  const { config, errors } = readConfigFile(file);
+  if (errors.length > 0) {
+    return { config, maps: null, errors };
+  }
+  const { maps, errors: mapErrors } = readMaps(config);
+  return { config, maps, errors: mapErrors };
+}
+
+// Used at server boot: an invalid config or map stops the process with the error list
+export function loadConfig(file = CONFIG_PATH) {
+  const { config, maps, errors } = readConfigAndMaps(file);
+  if (errors.length > 0) {
+    logger.error(`Invalid config ${file}:`);
+    errors.forEach(error => logger.error(`  ${error}`));
+    process.exit(1);
+  }
+  currentConfig = config;
+  currentMaps = maps;
+  currentVersion++;
+  return config;
+}
+
+export function getConfig() {
+  if (!currentConfig) loadConfig();
+  return currentConfig;
+}
+
+// Map id -> map file, valid for the current config
+export function getMaps() {
+  if (!currentConfig) loadConfig();
+  return currentMaps;
+}
+
+// Sections only the server reads: account storage and the replay directory
+// hold filesystem paths that clients (and replay files) must not see
+const SERVER_ONLY_SECTIONS = ['accounts', 'replays'];
+
+// The config as sent to clients, without the server-only sections
+export function toClientConfig(config) {
+  const clientConfig = { ...config };
+  SERVER_ONLY_SECTIONS.forEach(section => delete clientConfig[section]);
+  return clientConfig;
+}
+
+// Bumped on every successful (re)load, logged with new rooms
+export function getConfigVersion() {
+  return currentVersion;
+}
+
+// Reload config.json when it changes. Invalid edits are logged and ignored,
+// the previous version stays in use until the file is fixed.
+export function watchConfig(file = CONFIG_PATH) {
+  getConfig();
+  watchFile(file, { interval: CONFIG_WATCH_INTERVAL_MS }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+
+    const { config, maps, errors } = readConfigAndMaps(file);
+    if (errors.length > 0) {
+      logger.warn(`Config change rejected, keeping v${currentVersion}:`);
+      errors.forEach(error => logger.warn(`  ${error}`));
+      return;
+    }
+    currentConfig = config;
+    currentMaps = maps;
+    currentVersion++;
+    logger.info(`Config reloaded (v${currentVersion}), new rooms will use it`);
+  });
+  return () => unwatchFile(file);
+}
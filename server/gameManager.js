@@ -1,32 +1,77 @@
-import { Launcher, Defense, GAME_PHASES, MESSAGE_TYPES } from '../shared/types.js';
+import { Launcher, Defense, GAME_PHASES, MESSAGE_TYPES, PLACEMENT_ERRORS } from '../shared/types.js';
 import { validatePath } from './validators/path.js';
+import { validatePlacement } from './validators/placement.js';
 import { checkDefenseInterception } from './validators/defense.js';
 import { calculateAOEDamage } from './validators/aoe.js';
 import { validateMana } from './validators/mana.js';
 import { checkWinCondition } from './validators/win.js';
+import { MatchRecorder, saveReplay } from './replays.js';
+import { toClientConfig } from './config.js';
 import logger from '../shared/logger.js';
+import { createSeededRandom, getUnitSize } from '../shared/utils.js';
+import { TerrainGrid } from '../shared/terrain.js';
+import { DeploymentZone } from '../shared/deployment.js';
+import { randomBytes } from 'crypto';
 
 export class GameManager {
-  constructor(roomId, config) {
+  constructor(roomId, config, options = {}) {
     this.roomId = roomId;
     this.config = config;
-    this.players = new Map(); // playerId -> { ws, units, ready, mana, shotsThisTurn, launcherShotsThisTurn, buildBudget }
+    // Every random roll in the match (interceptions, auto-placement) comes from this
+    // seeded PRNG, so a game can be replayed exactly from its seed and inputs
+    this.seed = options.seed ?? randomBytes(4).readUInt32BE(0);
+    this.random = createSeededRandom(this.seed);
+    this.nextUnitId = 1; // unit ids are sequential so replays produce the same ids
+    // Read-only sockets watching the match (SPECTATE_ROOM). They are sent the
+    // recorded events, held back by spectators.delayTurns turns against ghosting.
+    this.spectators = new Map(); // ws -> { ws }
+    this.spectatorEventCount = 0; // recorded events already released to spectators
+    // Ordered event log of the match; only live rooms keep it once the game ends
+    this.recorder = new MatchRecorder(roomId, this.seed, toClientConfig(config), () => this.releaseSpectatorEvents());
+    this.saveReplays = options.saveReplays === true;
+    // Preset/custom rules the room was created with ({ preset, titleFA, overrides }),
+    // null for a standard room. `config` already has them applied.
+    this.rules = options.rules ?? null;
+    // Public rooms are listed in the lobby (LIST_ROOMS), private ones are joined by code
+    this.isPublic = options.isPublic === true;
+    this.onGameOver = options.onGameOver ?? null; // called once the game is over (match history)
+    this.createdAt = Date.now();
+    // Map tiles (mountains, forests, water) and neutral structures, the same layout on both boards
+    this.terrain = new TerrainGrid(config.terrain, config.gridSize, config.structures);
+    this.players = new Map(); // playerId -> { ws, name, accountId, resumeToken, connected, units, deploymentZone, ready, mana, shotsThisTurn, launcherShotsThisTurn, buildBudget, revealedUnitIds, exploredTiles }
     this.phase = GAME_PHASES.WAITING;
     this.currentTurn = null;
+    this.turnTimer = null; // setTimeout handle for the active turn
+    this.turnDeadline = null; // epoch ms when the active turn is forced to end
+    this.buildTimer = null; // setTimeout handle for the build phase
+    this.buildDeadline = null; // epoch ms when the build phase is forced to end
+    this.winner = null;
+    this.winReason = null;
+    this.finishedAt = null; // epoch ms when the game ended (for room cleanup)
   }
 
-  addPlayer(playerId, ws) {
+  // `name` is the display name already validated by rooms.js (null if none was
+  // given), `accountId` the signed-in account the match counts for (null for guests)
+  addPlayer(playerId, ws, name = null, accountId = null) {
     this.players.set(playerId, {
       ws,
+      name,
+      accountId,
+      resumeToken: randomBytes(16).toString('hex'), // lets the player rebind a new socket after a drop
+      connected: true,
+      disconnectTimer: null, // reconnect grace period timer
       units: {
         launchers: [],
         defenses: []
       },
+      deploymentZone: DeploymentZone.forPlayer(this.config, playerId), // where this player may build
       ready: false,
       mana: this.config.mana.startMana,
       shotsThisTurn: 0,
       launcherShotsThisTurn: new Map(), // launcherId -> count
-      buildBudget: this.config.buildBudget // Each player has their own build budget
+      buildBudget: this.config.buildBudget, // Each player has their own build budget
+      revealedUnitIds: new Set(), // opponent unit ids this player has hit or been intercepted by
+      exploredTiles: new Set() // opponent grid tiles ("x,y") hit by this player's missiles
     });
   }
 
@@ -34,25 +79,49 @@ export class GameManager {
     return this.players.size;
   }
 
+  // Display names by seat, sent with ROOM_UPDATE, BATTLE_STATE and GAME_OVER
+  // (null for a seat that is empty or whose player gave no name)
+  getPlayerNames() {
+    return {
+      player1: this.players.get('player1')?.name ?? null,
+      player2: this.players.get('player2')?.name ?? null
+    };
+  }
+
+  send(player, message) {
+    if (player.ws && player.ws.readyState === 1) { // WebSocket.OPEN
+      player.ws.send(JSON.stringify(message));
+    }
+  }
+
   broadcast(message) {
     this.players.forEach((player) => {
-      if (player.ws.readyState === 1) { // WebSocket.OPEN
-        player.ws.send(JSON.stringify(message));
-      }
+      this.send(player, message);
     });
   }
 
   startBuildPhase() {
     this.phase = GAME_PHASES.BUILD;
-    // Reset each player's budget when build phase starts
+    // Reset each player's budget when build phase starts. This also runs when the
+    // second player is seated, so units player1 already placed stay paid for.
     this.players.forEach((player, playerId) => {
-      player.buildBudget = this.config.buildBudget;
+      player.buildBudget = this.config.buildBudget - this.getUnitsCost(player);
       logger.player(playerId, `Build budget reset to ${player.buildBudget}`);
     });
     logger.room(this.roomId, 'Build phase started', {
       playerCount: this.players.size,
       playerIds: Array.from(this.players.keys())
     });
+    this.recorder.record('buildPhaseStart', {
+      playerIds: Array.from(this.players.keys()),
+      playerNames: this.getPlayerNames(),
+      buildBudget: this.config.buildBudget
+    });
+    
+    // The build countdown only starts once both players are in the room
+    if (this.players.size === 2) {
+      this.startBuildTimer();
+    }
     
     // Send build phase state to each player with their own budget
     this.players.forEach((player, playerId) => {
@@ -61,122 +130,137 @@ export class GameManager {
       phase: GAME_PHASES.BUILD,
         buildBudget: player.buildBudget,
         gridSize: this.config.gridSize,
-        playerId: playerId // Include playerId in message
+        playerId: playerId, // Include playerId in message
+        ...this.getBuildTimerState()
       };
       logger.player(playerId, 'Sending BUILD_PHASE_STATE', message);
-      player.ws.send(JSON.stringify(message));
+      this.send(player, message);
     });
   }
 
-  placeUnits(playerId, units) {
+  // Player whose units may be changed right now, or the rejection to send back
+  getBuildPlayer(playerId, action) {
     const player = this.players.get(playerId);
     if (!player) {
       return { success: false, error: 'Player not found' };
     }
 
-    logger.room(this.roomId, `placeUnits called by ${playerId}`, {
-      currentPhase: this.phase,
-      expectedPhase: GAME_PHASES.BUILD,
-      playerCount: this.players.size,
-      unitsCount: units?.length || 0
-    });
-
     if (this.phase !== GAME_PHASES.BUILD) {
-      logger.room(this.roomId, `Cannot place units - not in build phase`, {
+      logger.room(this.roomId, `Cannot ${action} - not in build phase`, {
         currentPhase: this.phase,
         expectedPhase: GAME_PHASES.BUILD
       });
-      return { success: false, error: 'Not in build phase' };
+      return {
+        success: false,
+        error: 'Not in build phase',
+        code: PLACEMENT_ERRORS.NOT_IN_BUILD_PHASE,
+        unitIndex: null,
+        reason: 'Not in build phase'
+      };
     }
 
-    // Calculate total cost of new units
-    let totalCost = 0;
-    const placedUnits = {
-      launchers: [],
-      defenses: []
-    };
-
-    // Validate and calculate cost
-    for (const unit of units) {
-      const unitConfig = unit.type === 'launcher'
-        ? this.config.launchers.find(l => l.id === unit.launcherType)
-        : this.config.defenses.find(d => d.id === unit.defenseType);
-
-      if (!unitConfig) {
-        return { success: false, error: `Invalid unit type: ${unit.type}` };
-      }
-
-      totalCost += unitConfig.cost;
-
-      if (unit.type === 'launcher') {
-        placedUnits.launchers.push(new Launcher(
-          `launcher_${Date.now()}_${Math.random()}`,
-          unit.launcherType,
-          unit.x,
-          unit.y,
-          playerId,
-          unitConfig
-        ));
-      } else {
-        placedUnits.defenses.push(new Defense(
-          `defense_${Date.now()}_${Math.random()}`,
-          unit.defenseType,
-          unit.x,
-          unit.y,
-          playerId,
-          unitConfig
-        ));
-      }
-    }
+    return { success: true, player };
+  }
 
-    // Calculate cost of old units (to refund)
-    let oldCost = 0;
+  // Cost of everything the player has built, refunded when a layout replaces it
+  getUnitsCost(player) {
+    let cost = 0;
     for (const launcher of player.units.launchers) {
-      oldCost += launcher.config.cost;
+      cost += launcher.config.cost;
     }
     for (const defense of player.units.defenses) {
-      oldCost += defense.config.cost;
+      cost += defense.config.cost;
     }
+    return cost;
+  }
 
-    // Refund old units cost and deduct new units cost
-    const costDifference = totalCost - oldCost;
-    
-    // Check if player has enough budget for the difference
-    if (costDifference > player.buildBudget) {
-      return { success: false, error: 'Insufficient budget' };
-    }
+  // The player's units as a PLACE_UNITS-style list (plus ids), for validatePlacement
+  getLayout(player) {
+    return [
+      ...player.units.launchers.map(l => ({ id: l.id, type: 'launcher', launcherType: l.type, x: l.x, y: l.y, rotated: l.rotated })),
+      ...player.units.defenses.map(d => ({ id: d.id, type: 'defense', defenseType: d.type, x: d.x, y: d.y, rotated: d.rotated }))
+    ];
+  }
 
-    // Validate grid bounds (with size support)
-    for (const launcher of placedUnits.launchers) {
-      const [sizeX, sizeY] = launcher.config.size;
-      if (launcher.x < 0 || launcher.x + sizeX > this.config.gridSize ||
-          launcher.y < 0 || launcher.y + sizeY > this.config.gridSize) {
-        return { success: false, error: 'Launcher out of bounds' };
-      }
+  // Validates a layout that replaces all of the player's units
+  validateLayout(player, layout) {
+    return validatePlacement(layout, {
+      config: this.config,
+      terrain: this.terrain,
+      deploymentZone: player.deploymentZone,
+      budget: player.buildBudget + this.getUnitsCost(player)
+    });
+  }
+
+  createUnit(playerId, unit, unitConfig) {
+    const created = unit.type === 'launcher'
+      ? new Launcher(`launcher_${this.nextUnitId++}`, unit.launcherType, unit.x, unit.y, playerId, unitConfig)
+      : new Defense(`defense_${this.nextUnitId++}`, unit.defenseType, unit.x, unit.y, playerId, unitConfig);
+    created.rotated = unit.rotated === true;
+    return created;
+  }
+
+  findUnit(player, unitId) {
+    return player.units.launchers.find(l => l.id === unitId) ||
+      player.units.defenses.find(d => d.id === unitId) ||
+      null;
+  }
+
+  placeUnits(playerId, units) {
+    logger.room(this.roomId, `placeUnits called by ${playerId}`, {
+      currentPhase: this.phase,
+      expectedPhase: GAME_PHASES.BUILD,
+      playerCount: this.players.size,
+      unitsCount: units?.length || 0
+    });
+
+    const check = this.getBuildPlayer(playerId, 'place units');
+    if (!check.success) {
+      return check;
     }
+    const { player } = check;
 
-    for (const defense of placedUnits.defenses) {
-      const [sizeX, sizeY] = defense.config.size || [1, 1];
-      if (defense.x < 0 || defense.x + sizeX > this.config.gridSize ||
-          defense.y < 0 || defense.y + sizeY > this.config.gridSize) {
-        return { success: false, error: 'Defense out of bounds' };
-      }
+    // Validate the whole layout before building anything: types, integer
+    // coordinates, bounds, terrain, deployment zone, overlaps and budget
+    const oldCost = this.getUnitsCost(player);
+    const validation = this.validateLayout(player, units);
+    if (!validation.success) {
+      logger.player(playerId, 'Placement rejected', {
+        code: validation.code,
+        unitIndex: validation.unitIndex,
+        reason: validation.reason
+      });
+      return validation;
     }
 
+    // The layout replaces every unit, so all of them get new ids
+    const placedUnits = {
+      launchers: [],
+      defenses: []
+    };
+    units.forEach((unit, index) => {
+      const created = this.createUnit(playerId, unit, validation.unitConfigs[index]);
+      (unit.type === 'launcher' ? placedUnits.launchers : placedUnits.defenses).push(created);
+    });
+
+    // Refund old units cost and deduct new units cost
+    const costDifference = validation.totalCost - oldCost;
+
     // Place units
     player.units.launchers = placedUnits.launchers;
     player.units.defenses = placedUnits.defenses;
     
     // Update player's budget (refund old, deduct new)
     player.buildBudget -= costDifference;
+    this.recordUnitsPlaced(playerId, player);
     
     // Send updated budget only to the player who placed units
-    player.ws.send(JSON.stringify({
+    this.send(player, {
       type: MESSAGE_TYPES.BUILD_PHASE_STATE,
       phase: GAME_PHASES.BUILD,
       buildBudget: player.buildBudget,
       gridSize: this.config.gridSize
-    }));
+    });
 
     return {
       success: true,
@@ -185,6 +269,128 @@ export class GameManager {
     };
   }
 
+  // Incremental build-phase edits (ADD_UNIT / REMOVE_UNIT / MOVE_UNIT). Units
+  // that stay keep their ids, the server does the budget accounting, and every
+  // result (success or not) carries the player's units and budget so the client
+  // can reconcile its optimistic update or roll it back.
+  addUnit(playerId, unit) {
+    const check = this.getBuildPlayer(playerId, 'add unit');
+    if (!check.success) {
+      return check;
+    }
+    const { player } = check;
+
+    // The new unit goes last, so a rejection always points at it
+    const layout = [...this.getLayout(player), { ...unit, id: null }];
+    const validation = this.validateLayout(player, layout);
+    if (!validation.success) {
+      return this.rejectUnitEdit(playerId, player, layout, validation);
+    }
+
+    const created = this.createUnit(playerId, unit, validation.unitConfigs[layout.length - 1]);
+    (unit.type === 'launcher' ? player.units.launchers : player.units.defenses).push(created);
+    player.buildBudget -= created.config.cost;
+    logger.player(playerId, `Added ${created.type} as ${created.id} at (${created.x}, ${created.y})`);
+    return this.acceptUnitEdit(playerId, player, created.id);
+  }
+
+  removeUnit(playerId, unitId) {
+    const check = this.getBuildPlayer(playerId, 'remove unit');
+    if (!check.success) {
+      return check;
+    }
+    const { player } = check;
+
+    const unit = this.findUnit(player, unitId);
+    if (!unit) {
+      return this.rejectUnknownUnit(playerId, player, unitId);
+    }
+
+    player.units.launchers = player.units.launchers.filter(l => l !== unit);
+    player.units.defenses = player.units.defenses.filter(d => d !== unit);
+    player.buildBudget += unit.config.cost;
+    logger.player(playerId, `Removed ${unit.id}`);
+    return this.acceptUnitEdit(playerId, player, unit.id);
+  }
+
+  // Also rotates: `rotated` (optional) is the unit's new orientation
+  moveUnit(playerId, unitId, x, y, rotated = undefined) {
+    const check = this.getBuildPlayer(playerId, 'move unit');
+    if (!check.success) {
+      return check;
+    }
+    const { player } = check;
+
+    const unit = this.findUnit(player, unitId);
+    if (!unit) {
+      return this.rejectUnknownUnit(playerId, player, unitId);
+    }
+
+    // Validate the layout with the unit at its new position, moved to the end
+    const current = this.getLayout(player);
+    const moved = { ...current.find(u => u.id === unitId), x, y };
+    if (rotated !== undefined) {
+      moved.rotated = rotated;
+    }
+    const layout = [...current.filter(u => u.id !== unitId), moved];
+    const validation = this.validateLayout(player, layout);
+    if (!validation.success) {
+      return this.rejectUnitEdit(playerId, player, layout, validation);
+    }
+
+    unit.x = x;
+    unit.y = y;
+    unit.rotated = moved.rotated;
+    logger.player(playerId, `Moved ${unit.id} to (${x}, ${y})${unit.rotated ? ', rotated' : ''}`);
+    return this.acceptUnitEdit(playerId, player, unit.id);
+  }
+
+  acceptUnitEdit(playerId, player, unitId) {
+    this.recordUnitsPlaced(playerId, player);
+    return {
+      success: true,
+      unitId,
+      units: this.serializeUnits(player.units),
+      buildBudget: player.buildBudget
+    };
+  }
+
+  // Layout indices mean nothing to the client here, so they become unit ids
+  // (null for a unit that doesn't exist yet)
+  rejectUnitEdit(playerId, player, layout, validation) {
+    const { unitIndex, otherUnitIndex, ...rejection } = validation;
+    logger.player(playerId, 'Unit edit rejected', { code: rejection.code, reason: rejection.reason });
+    return {
+      ...rejection,
+      unitId: layout[unitIndex]?.id ?? null,
+      ...(otherUnitIndex !== undefined ? { otherUnitId: layout[otherUnitIndex].id } : {}),
+      units: this.serializeUnits(player.units),
+      buildBudget: player.buildBudget
+    };
+  }
+
+  rejectUnknownUnit(playerId, player, unitId) {
+    const reason = `Unknown unit: ${unitId}`;
+    logger.player(playerId, 'Unit edit rejected', { code: PLACEMENT_ERRORS.UNKNOWN_UNIT, reason });
+    return {
+      success: false,
+      error: reason,
+      code: PLACEMENT_ERRORS.UNKNOWN_UNIT,
+      reason,
+      unitId: unitId ?? null,
+      units: this.serializeUnits(player.units),
+      buildBudget: player.buildBudget
+    };
+  }
+
+  recordUnitsPlaced(playerId, player) {
+    this.recorder.record('unitsPlaced', {
+      playerId,
+      units: this.serializeUnits(player.units),
+      buildBudget: player.buildBudget
+    });
+  }
+
   setPlayerReady(playerId) {
     const player = this.players.get(playerId);
     if (player) {
@@ -235,20 +441,23 @@ export class GameManager {
       
       // Send BUILD_PHASE_STATE to each player with their own budget
       this.players.forEach((player, playerId) => {
-        player.ws.send(JSON.stringify({
+        this.send(player, {
           type: MESSAGE_TYPES.BUILD_PHASE_STATE,
           phase: GAME_PHASES.BUILD,
           buildBudget: player.buildBudget,
-          gridSize: this.config.gridSize
-        }));
+          gridSize: this.config.gridSize,
+          ...this.getBuildTimerState()
+        });
       });
       
       return;
     }
     
+    this.clearBuildTimer();
     this.phase = GAME_PHASES.BATTLE;
     this.currentTurn = 'player1';
     logger.room(this.roomId, 'Battle phase started');
+    this.startTurnTimer();
     
     // Reset mana and shots for both players
     // Player1 gets manaPerTurn added because they're starting the first turn
@@ -271,57 +480,65 @@ export class GameManager {
     });
 
     logger.room(this.roomId, `Turn: ${this.currentTurn}`);
+    this.recorder.record('battleStart', {
+      currentTurn: this.currentTurn,
+      playerNames: this.getPlayerNames(),
+      mana: this.getManaState(),
+      units: {
+        player1: this.serializeUnits(this.players.get('player1').units),
+        player2: this.serializeUnits(this.players.get('player2').units)
+      }
+    });
     
-    // Send battle state to each player with their own units and opponent units
+    // Send battle state to each player with their own units and the opponent units they can see
     this.players.forEach((player, playerId) => {
-      const opponentId = playerId === 'player1' ? 'player2' : 'player1';
-      const opponent = this.players.get(opponentId);
-      
-      player.ws.send(JSON.stringify({
+      this.send(player, this.getBattleState(playerId));
+    });
+  }
+
+  getBattleState(playerId) {
+    return {
       type: MESSAGE_TYPES.BATTLE_STATE,
       phase: GAME_PHASES.BATTLE,
       currentTurn: this.currentTurn,
-      mana: {
-        player1: this.players.get('player1').mana,
-        player2: this.players.get('player2').mana
-        },
-        units: {
-          launchers: player.units.launchers.map(l => ({
-            id: l.id,
-            type: l.type,
-            x: l.x,
-            y: l.y,
-            destroyed: l.destroyed
-          })),
-          defenses: player.units.defenses.map(d => ({
-            id: d.id,
-            type: d.type,
-            x: d.x,
-            y: d.y,
-            destroyed: d.destroyed
-          }))
-        },
-        opponentUnits: {
-          launchers: opponent.units.launchers.map(l => ({
-            id: l.id,
-            type: l.type,
-            x: l.x,
-            y: l.y,
-            destroyed: l.destroyed
-          })),
-          defenses: opponent.units.defenses.map(d => ({
-            id: d.id,
-            type: d.type,
-            x: d.x,
-            y: d.y,
-            destroyed: d.destroyed
-          }))
-        }
-      }));
-    });
+      ...this.getTurnTimerState(),
+      mana: this.getManaState(),
+      playerNames: this.getPlayerNames(),
+      ...this.getUnitsState(playerId)
+    };
   }
 
   processShot(playerId, launcherId, pathTiles) {
+    this.recorder.record('shotRequested', { playerId, launcherId, pathTiles });
+    const result = this.resolveShot(playerId, launcherId, pathTiles);
+
+    if (!result.success) {
+      this.recorder.record('shotRejected', { playerId, launcherId, error: result.error });
+    } else {
+      this.recorder.record('shotResolved', {
+        playerId,
+        launcherId,
+        intercepted: result.intercepted,
+        interceptionDefense: result.interceptionDefense || null,
+        interceptedAt: result.interceptedAt || null,
+        targetCells: result.targetCells,
+        destroyed: result.damage
+          ? {
+              launchers: result.damage.launchers.filter(unit => unit.destroyed).map(unit => unit.id),
+              defenses: result.damage.defenses.filter(unit => unit.destroyed).map(unit => unit.id)
+            }
+          : { launchers: [], defenses: [] },
+        // Every unit hit, with the damage dealt and health left
+        hits: result.damage
+          ? [...result.damage.launchers, ...result.damage.defenses]
+              .map(({ id, damage, health }) => ({ id, damage, health }))
+          : []
+      });
+    }
+    return result;
+  }
+
+  resolveShot(playerId, launcherId, pathTiles) {
     logger.player(playerId, `Shot request: launcher=${launcherId}, pathLength=${pathTiles.length}`);
     
     if (this.phase !== GAME_PHASES.BATTLE) {
@@ -379,7 +596,7 @@ export class GameManager {
     }
 
     // Validate path
-    const pathCheck = validatePath(pathTiles, launcher.config.range, this.config.gridSize);
+    const pathCheck = validatePath(pathTiles, launcher.config.range, this.config.gridSize, this.terrain);
     if (!pathCheck.success) {
       logger.player(playerId, `Path validation failed`, {
         pathLength: pathTiles.length,
@@ -402,7 +619,9 @@ export class GameManager {
     const interception = checkDefenseInterception(
       pathTiles,
       opponent.units.defenses,
-      this.config.gridSize
+      this.config.gridSize,
+      this.random,
+      this.terrain
     );
 
     let damage = null;
@@ -414,7 +633,7 @@ export class GameManager {
       const aoeResult = calculateAOEDamage(
         lastTile.x,
         lastTile.y,
-        launcher.config.aoe,
+        launcher.config,
         opponent.units,
         this.config.gridSize
       );
@@ -422,6 +641,15 @@ export class GameManager {
       targetCells = aoeResult.targetCells;
     }
 
+    // Record what this shot revealed about the opponent
+    if (interception.intercepted) {
+      player.revealedUnitIds.add(interception.defenseId);
+    } else {
+      damage.launchers.forEach(unit => player.revealedUnitIds.add(unit.id));
+      damage.defenses.forEach(unit => player.revealedUnitIds.add(unit.id));
+      targetCells.forEach(cell => player.exploredTiles.add(`${cell.x},${cell.y}`));
+    }
+
     // Update shots
     player.shotsThisTurn++;
     // launcherShots already calculated above, just increment
@@ -432,7 +660,8 @@ export class GameManager {
       intercepted: interception.intercepted,
       damage,
       targetCells,
-      interceptionDefense: interception.defenseId
+      interceptionDefense: interception.defenseId,
+      interceptedAt: interception.interceptedAt
     };
   }
 
@@ -446,13 +675,12 @@ export class GameManager {
       player.mana = Math.max(0, player.mana);
     }
 
+    this.recorder.record('manaUpdate', { playerId, mana: this.getManaState() });
+
     // Broadcast mana update for all players (so both clients update)
     this.broadcast({
       type: MESSAGE_TYPES.MANA_UPDATE,
-      mana: {
-        player1: this.players.get('player1').mana,
-        player2: this.players.get('player2').mana
-      }
+      mana: this.getManaState()
     });
   }
 
@@ -460,6 +688,7 @@ export class GameManager {
     const oldTurn = this.currentTurn;
     this.currentTurn = this.currentTurn === 'player1' ? 'player2' : 'player1';
     logger.room(this.roomId, `Turn switched from ${oldTurn} to: ${this.currentTurn}`);
+    this.startTurnTimer();
     
     // Reset shots and add mana per turn
     this.players.forEach((player, playerId) => {
@@ -474,55 +703,592 @@ export class GameManager {
         logger.player(playerId, `Mana updated: ${oldMana} -> ${player.mana}`);
       }
     });
+    this.recorder.record('turnChange', {
+      previousTurn: oldTurn,
+      currentTurn: this.currentTurn,
+      mana: this.getManaState()
+    });
 
     // Send turn change with updated units for both players
     this.players.forEach((player, playerId) => {
-      const opponentId = playerId === 'player1' ? 'player2' : 'player1';
-      const opponent = this.players.get(opponentId);
-      
-      player.ws.send(JSON.stringify({
+      this.send(player, {
         type: MESSAGE_TYPES.TURN_CHANGE,
         currentTurn: this.currentTurn,
-        mana: {
-          player1: this.players.get('player1').mana,
-          player2: this.players.get('player2').mana
-        },
-        units: {
-          launchers: player.units.launchers.map(l => ({
-            id: l.id,
-            type: l.type,
-            x: l.x,
-            y: l.y,
-            destroyed: l.destroyed
-          })),
-          defenses: player.units.defenses.map(d => ({
-            id: d.id,
-            type: d.type,
-            x: d.x,
-            y: d.y,
-            destroyed: d.destroyed
-          }))
-        },
-        opponentUnits: {
-          launchers: opponent.units.launchers.map(l => ({
-            id: l.id,
-            type: l.type,
-            x: l.x,
-            y: l.y,
-            destroyed: l.destroyed
-          })),
-          defenses: opponent.units.defenses.map(d => ({
-            id: d.id,
-            type: d.type,
-            x: d.x,
-            y: d.y,
-            destroyed: d.destroyed
-          }))
+        ...this.getTurnTimerState(),
+        mana: this.getManaState(),
+        ...this.getUnitsState(playerId)
+      });
+    });
+  }
+
+  getManaState() {
+    return {
+      player1: this.players.get('player1').mana,
+      player2: this.players.get('player2').mana
+    };
+  }
+
+  serializeUnits(units) {
+    return {
+      launchers: units.launchers.map(l => ({
+        id: l.id,
+        type: l.type,
+        x: l.x,
+        y: l.y,
+        rotated: l.rotated,
+        health: l.health,
+        maxHealth: l.maxHealth,
+        destroyed: l.destroyed
+      })),
+      defenses: units.defenses.map(d => ({
+        id: d.id,
+        type: d.type,
+        x: d.x,
+        y: d.y,
+        rotated: d.rotated,
+        health: d.health,
+        maxHealth: d.maxHealth,
+        destroyed: d.destroyed
+      }))
+    };
+  }
+
+  // Fog of war: a player only learns about opponent units they have revealed
+  // (hit by their missiles or exposed by intercepting one). With
+  // battle.fogOfWar = false every unit is sent, as in open-information mode.
+  getVisibleOpponentUnits(playerId) {
+    const player = this.players.get(playerId);
+    const opponent = this.players.get(this.getOpponentId(playerId));
+    if (!player || !opponent) {
+      return { launchers: [], defenses: [] };
+    }
+
+    const fogOfWar = this.config.battle?.fogOfWar !== false;
+    const serialized = this.serializeUnits(opponent.units);
+    const markRevealed = (unit) => ({ ...unit, revealed: player.revealedUnitIds.has(unit.id) });
+    const isVisible = (unit) => !fogOfWar || unit.revealed;
+
+    return {
+      launchers: serialized.launchers.map(markRevealed).filter(isVisible),
+      defenses: serialized.defenses.map(markRevealed).filter(isVisible)
+    };
+  }
+
+  // Whether `playerId` may learn where the opponent's unit `unitId` is (APPLY_DAMAGE
+  // only carries the attacking launcher and its path to players who can see it)
+  isOpponentUnitVisible(playerId, unitId) {
+    const player = this.players.get(playerId);
+    return this.config.battle?.fogOfWar === false || Boolean(player?.revealedUnitIds.has(unitId));
+  }
+
+  // Unit fields shared by BATTLE_STATE, TURN_CHANGE and APPLY_DAMAGE
+  getUnitsState(playerId) {
+    const player = this.players.get(playerId);
+    return {
+      units: this.serializeUnits(player.units),
+      opponentUnits: this.getVisibleOpponentUnits(playerId),
+      exploredTiles: Array.from(player.exploredTiles).map(key => {
+        const [x, y] = key.split(',').map(Number);
+        return { x, y };
+      })
+    };
+  }
+
+  getOpponentId(playerId) {
+    return playerId === 'player1' ? 'player2' : 'player1';
+  }
+
+  // Server-owned build deadline: when it lapses the battle starts regardless of
+  // ready state, so one client cannot cut the opponent's build time short
+  startBuildTimer() {
+    this.clearBuildTimer();
+    const buildTimeSeconds = this.config.build?.buildTimeSeconds || 30;
+    const buildTimeMs = buildTimeSeconds * 1000;
+    this.buildDeadline = Date.now() + buildTimeMs;
+    this.buildTimer = setTimeout(() => this.handleBuildTimeout(), buildTimeMs);
+    logger.room(this.roomId, `Build timer started (${buildTimeSeconds}s)`);
+  }
+
+  clearBuildTimer() {
+    if (this.buildTimer) {
+      clearTimeout(this.buildTimer);
+      this.buildTimer = null;
+    }
+    this.buildDeadline = null;
+  }
+
+  handleBuildTimeout() {
+    // Also called directly (e.g. by the simulator), so clear rather than just drop the handle
+    this.clearBuildTimer();
+    if (this.phase !== GAME_PHASES.BUILD) {
+      return;
+    }
+    logger.room(this.roomId, 'Build timer expired, starting battle phase');
+
+    // Give every player without a launcher the cheapest one so the battle can start
+    const withoutLauncher = [];
+    this.players.forEach((player, playerId) => {
+      const aliveLaunchers = player.units.launchers.filter(l => !l.destroyed);
+      if (aliveLaunchers.length === 0 && !this.autoPlaceLauncher(playerId)) {
+        withoutLauncher.push(playerId);
+      }
+      player.ready = true;
+    });
+
+    // No free tile for one (the zone is full of terrain and defenses): the battle
+    // can't start and the deadline has passed, so that player loses. Nobody wins
+    // if neither player could get a launcher.
+    if (withoutLauncher.length > 0) {
+      const winner = withoutLauncher.length === 1 ? this.getOpponentId(withoutLauncher[0]) : null;
+      logger.room(this.roomId, `No launcher for ${withoutLauncher.join(', ')} after the build phase`);
+      this.endGame(winner, 'noLauncher');
+      return;
+    }
+
+    this.startBattlePhase();
+  }
+
+  getBuildTimerState() {
+    return {
+      buildDeadline: this.buildDeadline,
+      buildTimeSeconds: this.config.build?.buildTimeSeconds || 30,
+      serverTime: Date.now()
+    };
+  }
+
+  isAreaFree(player, x, y, sizeX, sizeY) {
+    if (!this.terrain.isAreaPlaceable(x, y, sizeX, sizeY) ||
+        !player.deploymentZone.containsArea(x, y, sizeX, sizeY)) {
+      return false;
+    }
+    const units = [...player.units.launchers, ...player.units.defenses];
+    for (const unit of units) {
+      const [unitSizeX, unitSizeY] = getUnitSize(unit.config, unit.rotated);
+      if (!(x + sizeX <= unit.x || x >= unit.x + unitSizeX ||
+            y + sizeY <= unit.y || y >= unit.y + unitSizeY)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Place the cheapest launcher on a random free position
+  autoPlaceLauncher(playerId) {
+    const player = this.players.get(playerId);
+    const launcherConfig = this.config.launchers.reduce((cheapest, launcher) => {
+      return (!cheapest || launcher.cost < cheapest.cost) ? launcher : cheapest;
+    }, null);
+    if (!player || !launcherConfig) {
+      return null;
+    }
+
+    const [sizeX, sizeY] = launcherConfig.size;
+    const candidates = [];
+    for (let y = 0; y + sizeY <= this.config.gridSize; y++) {
+      for (let x = 0; x + sizeX <= this.config.gridSize; x++) {
+        if (this.isAreaFree(player, x, y, sizeX, sizeY)) {
+          candidates.push({ x, y });
         }
-      }));
+      }
+    }
+    if (candidates.length === 0) {
+      logger.room(this.roomId, `No free position to auto-place a launcher for ${playerId}`);
+      return null;
+    }
+
+    const { x, y } = candidates[Math.floor(this.random() * candidates.length)];
+    const launcher = new Launcher(
+      `launcher_${this.nextUnitId++}`,
+      launcherConfig.id,
+      x,
+      y,
+      playerId,
+      launcherConfig
+    );
+    player.units.launchers.push(launcher);
+    player.buildBudget = Math.max(0, player.buildBudget - launcherConfig.cost);
+    this.recorder.record('autoPlaced', {
+      playerId,
+      unit: { id: launcher.id, type: launcher.type, x, y, health: launcher.health, maxHealth: launcher.maxHealth },
+      buildBudget: player.buildBudget
+    });
+    logger.player(playerId, `Auto-placed ${launcherConfig.id} launcher at (${x}, ${y})`);
+    return launcher;
+  }
+
+  // Server-owned turn deadline: when it lapses the turn is switched even if the
+  // active player never sends END_TURN (closed tab, tampered client, ...)
+  startTurnTimer() {
+    this.clearTurnTimer();
+    const turnTimeSeconds = this.config.battle?.turnTimeSeconds || 20;
+    const turnTimeMs = turnTimeSeconds * 1000;
+    this.turnDeadline = Date.now() + turnTimeMs;
+    const turn = this.currentTurn;
+    this.turnTimer = setTimeout(() => this.handleTurnTimeout(turn), turnTimeMs);
+    logger.room(this.roomId, `Turn timer started for ${turn} (${turnTimeSeconds}s)`);
+  }
+
+  clearTurnTimer() {
+    if (this.turnTimer) {
+      clearTimeout(this.turnTimer);
+      this.turnTimer = null;
+    }
+    this.turnDeadline = null;
+  }
+
+  handleTurnTimeout(turn) {
+    this.turnTimer = null;
+    // Ignore stale timers (turn already switched or game no longer in battle)
+    if (this.phase !== GAME_PHASES.BATTLE || this.currentTurn !== turn) {
+      return;
+    }
+    logger.room(this.roomId, `Turn timer expired for ${turn}, forcing turn switch`);
+    this.switchTurn();
+  }
+
+  // Timer fields included in BATTLE_STATE / TURN_CHANGE. serverTime lets the
+  // client correct for clock skew when displaying the countdown.
+  getTurnTimerState() {
+    return {
+      turnDeadline: this.turnDeadline,
+      turnTimeSeconds: this.config.battle?.turnTimeSeconds || 20,
+      serverTime: Date.now()
+    };
+  }
+
+  endGame(winner, reason = 'launchersDestroyed') {
+    this.clearBuildTimer();
+    this.clearTurnTimer();
+    this.phase = GAME_PHASES.GAME_OVER;
+    this.winner = winner;
+    this.winReason = reason;
+    this.finishedAt = Date.now();
+    logger.room(this.roomId, `Game over! Winner: ${winner} (${reason}), seed ${this.seed}`);
+    // The seed is only revealed once the match is over (it would predict interception rolls)
+    this.broadcast({
+      type: MESSAGE_TYPES.GAME_OVER,
+      winner,
+      reason,
+      playerNames: this.getPlayerNames(),
+      seed: this.seed
+    });
+
+    // Both final layouts: spectators of a fog-of-war match only see them now
+    this.recorder.record('gameOver', {
+      winner,
+      reason,
+      units: {
+        player1: this.serializeUnits(this.players.get('player1').units),
+        player2: this.serializeUnits(this.players.get('player2').units)
+      }
+    });
+    if (this.saveReplays) {
+      saveReplay(this.getReplay(), this.config);
+    }
+    if (this.onGameOver) {
+      this.onGameOver(this);
+    }
+  }
+
+  getReplay() {
+    return this.recorder.toJSON({
+      winner: this.winner,
+      reason: this.winReason,
+      finishedAt: this.finishedAt
+    });
+  }
+
+  findPlayerByResumeToken(resumeToken) {
+    if (!resumeToken) return null;
+    for (const [playerId, player] of this.players.entries()) {
+      if (player.resumeToken === resumeToken) {
+        return playerId;
+      }
+    }
+    return null;
+  }
+
+  // Keep the player's slot (units, mana, turn) for a grace period so the same
+  // player can resume with their token; timers keep running meanwhile
+  markDisconnected(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+
+    player.connected = false;
+    this.clearDisconnectTimer(player);
+    const graceSeconds = this.config.connection?.reconnectGraceSeconds || 60;
+    player.disconnectTimer = setTimeout(() => this.handleReconnectTimeout(playerId), graceSeconds * 1000);
+    logger.room(this.roomId, `${playerId} disconnected, holding slot for ${graceSeconds}s`);
+    this.recorder.record('playerDisconnected', { playerId });
+
+    if (this.isInProgress()) {
+      const opponent = this.players.get(this.getOpponentId(playerId));
+      if (opponent) {
+        this.send(opponent, {
+          type: MESSAGE_TYPES.OPPONENT_DISCONNECTED,
+          playerId,
+          forfeitDeadline: Date.now() + graceSeconds * 1000,
+          serverTime: Date.now()
+        });
+      }
+    }
+  }
+
+  // Grace period lapsed: the session can no longer be resumed and, if the
+  // opponent is still here, they win by forfeit (if they dropped too, they get
+  // it when they reconnect, see reconnectPlayer)
+  handleReconnectTimeout(playerId) {
+    const player = this.players.get(playerId);
+    if (!player || player.connected) return;
+
+    player.disconnectTimer = null;
+    player.resumeToken = null;
+    logger.room(this.roomId, `${playerId} did not reconnect in time, session expired`);
+
+    const opponentId = this.getOpponentId(playerId);
+    const opponent = this.players.get(opponentId);
+    if (this.isInProgress() && opponent?.connected) {
+      this.endGame(opponentId, 'forfeit');
+    }
+  }
+
+  clearDisconnectTimer(player) {
+    if (player.disconnectTimer) {
+      clearTimeout(player.disconnectTimer);
+      player.disconnectTimer = null;
+    }
+  }
+
+  reconnectPlayer(playerId, ws) {
+    const player = this.players.get(playerId);
+    if (!player) return false;
+
+    this.clearDisconnectTimer(player);
+
+    // The opponent dropped too and their session expired meanwhile, so nobody was
+    // here to take the forfeit. Decided before the new socket is attached: the
+    // result reaches this player once, with the session state.
+    const opponentId = this.getOpponentId(playerId);
+    const opponent = this.players.get(opponentId);
+    if (this.isInProgress() && opponent && !opponent.connected && !opponent.disconnectTimer) {
+      logger.room(this.roomId, `${opponentId}'s session expired while ${playerId} was away`);
+      this.endGame(playerId, 'forfeit');
+    }
+
+    player.ws = ws;
+    player.connected = true;
+    logger.room(this.roomId, `${playerId} reconnected`);
+    this.recorder.record('playerReconnected', { playerId });
+
+    if (opponent) {
+      this.send(opponent, {
+        type: MESSAGE_TYPES.OPPONENT_RECONNECTED,
+        playerId
+      });
+    }
+    return true;
+  }
+
+  isInProgress() {
+    return this.phase === GAME_PHASES.BATTLE ||
+      (this.phase === GAME_PHASES.BUILD && this.players.size === 2);
+  }
+
+  // Nobody is connected and nobody can resume any more
+  isAbandoned() {
+    for (const player of this.players.values()) {
+      if (player.connected || player.disconnectTimer) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  isDisposable(now, finishedRoomTtlMs) {
+    if (this.isAbandoned()) return true;
+    return this.phase === GAME_PHASES.GAME_OVER && now - this.finishedAt >= finishedRoomTtlMs;
+  }
+
+  // Stop every pending timer so a removed room can be garbage-collected
+  dispose() {
+    this.clearBuildTimer();
+    this.clearTurnTimer();
+    this.players.forEach(player => this.clearDisconnectTimer(player));
+  }
+
+  // Sent with ROOM_UPDATE: clients render with the room's own config instead of
+  // fetching the global /config.json, and the lobby shows the variant
+  getRoomRules() {
+    return { rules: this.rules, config: toClientConfig(this.config) };
+  }
+
+  // Lobby row of a public room. `joinable` is decided by rooms.js (bot seats).
+  getLobbyEntry() {
+    const overrides = this.rules?.overrides || {};
+    return {
+      roomId: this.roomId,
+      hostName: this.players.get('player1')?.name ?? null,
+      preset: this.rules?.preset ?? null,
+      rulesTitleFA: this.rules?.titleFA ?? null,
+      customRules: !this.rules?.preset && Object.keys(overrides).length > 0,
+      map: this.rules?.map ?? null, // { id, titleFA }
+      players: this.players.size,
+      maxPlayers: 2,
+      phase: this.phase,
+      spectators: this.spectators.size,
+      createdAt: this.createdAt
+    };
+  }
+
+  // Replay everything a freshly connected client needs for the current phase
+  sendSessionState(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+
+    this.send(player, {
+      type: MESSAGE_TYPES.ROOM_UPDATE,
+      roomId: this.roomId,
+      playerId,
+      players: this.players.size,
+      maxPlayers: 2,
+      playerNames: this.getPlayerNames(),
+      resumeToken: player.resumeToken,
+      resumed: true,
+      ...this.getRoomRules()
+    });
+
+    if (this.phase === GAME_PHASES.BUILD) {
+      this.send(player, {
+        type: MESSAGE_TYPES.BUILD_PHASE_STATE,
+        phase: GAME_PHASES.BUILD,
+        buildBudget: player.buildBudget,
+        gridSize: this.config.gridSize,
+        playerId,
+        units: this.serializeUnits(player.units),
+        ready: player.ready,
+        resumed: true,
+        ...this.getBuildTimerState()
+      });
+    } else if (this.phase === GAME_PHASES.BATTLE) {
+      this.send(player, this.getBattleState(playerId));
+    } else if (this.phase === GAME_PHASES.GAME_OVER) {
+      this.send(player, {
+        type: MESSAGE_TYPES.GAME_OVER,
+        winner: this.winner,
+        reason: this.winReason,
+        playerNames: this.getPlayerNames(),
+        seed: this.seed
+      });
+    }
+  }
+
+  addSpectator(ws) {
+    const spectator = { ws };
+    this.spectators.set(ws, spectator);
+    logger.room(this.roomId, `Spectator joined (${this.spectators.size} watching)`);
+
+    // Everything released so far as a replay document; later events follow as SPECTATOR_EVENTS
+    this.send(spectator, {
+      type: MESSAGE_TYPES.ROOM_UPDATE,
+      roomId: this.roomId,
+      spectator: true,
+      players: this.players.size,
+      maxPlayers: 2,
+      playerNames: this.getPlayerNames(),
+      delayTurns: this.getSpectatorDelayTurns(),
+      replay: this.recorder.toLiveJSON(this.spectatorEventCount, event => this.toSpectatorEvent(event)),
+      ...this.getRoomRules()
+    });
+  }
+
+  removeSpectator(ws) {
+    if (this.spectators.delete(ws)) {
+      logger.room(this.roomId, `Spectator left (${this.spectators.size} watching)`);
+    }
+  }
+
+  getSpectatorDelayTurns() {
+    return this.config.spectators?.delayTurns ?? 0;
+  }
+
+  // Spectators see the match as it stood `delayTurns` turns ago: events up to the
+  // start of that turn. The build phase counts as the first turn, and everything
+  // is released once the game is over.
+  getSpectatorEventCutoff() {
+    const events = this.recorder.events;
+    const delayTurns = this.getSpectatorDelayTurns();
+    if (delayTurns === 0 || this.phase === GAME_PHASES.GAME_OVER) {
+      return events.length;
+    }
+
+    const turnStarts = [0];
+    events.forEach((event, index) => {
+      if (event.type === 'battleStart' || event.type === 'turnChange') {
+        turnStarts.push(index);
+      }
+    });
+    return turnStarts.length > delayTurns ? turnStarts[turnStarts.length - delayTurns] : 0;
+  }
+
+  // Called after every recorded event; the cutoff only moves forward
+  releaseSpectatorEvents() {
+    const cutoff = this.getSpectatorEventCutoff();
+    if (cutoff <= this.spectatorEventCount) return;
+
+    const events = this.recorder.events.slice(this.spectatorEventCount, cutoff)
+      .map(event => this.toSpectatorEvent(event));
+    this.spectatorEventCount = cutoff;
+    this.spectators.forEach(spectator => {
+      this.send(spectator, {
+        type: MESSAGE_TYPES.SPECTATOR_EVENTS,
+        events
+      });
     });
   }
 
+  // With fog of war the layouts are held back from spectators until the game is
+  // over (a player could watch their own room from a second tab): units only show
+  // up once the opponent has revealed them, shots from a hidden launcher come
+  // without their path, and the gameOver event carries both full layouts.
+  toSpectatorEvent(event) {
+    if (this.config.battle?.fogOfWar === false || this.phase === GAME_PHASES.GAME_OVER) {
+      return event;
+    }
+    const noUnits = { launchers: [], defenses: [] };
+    switch (event.type) {
+      case 'unitsPlaced':
+        return { ...event, units: noUnits };
+      case 'autoPlaced': {
+        const { unit, ...hidden } = event;
+        return hidden;
+      }
+      case 'battleStart':
+        return { ...event, units: { player1: noUnits, player2: noUnits } };
+      case 'shotRequested': {
+        if (this.isOpponentUnitVisible(this.getOpponentId(event.playerId), event.launcherId)) return event;
+        const { pathTiles, ...hidden } = event;
+        return hidden;
+      }
+      case 'shotResolved':
+        return { ...event, revealedUnits: this.getUnitsRevealedByShot(event) };
+      default:
+        return event;
+    }
+  }
+
+  // The defender's units a recorded shot revealed (hit, or intercepted the
+  // missile), as they were before it: a unit is first revealed by its first hit
+  getUnitsRevealedByShot(event) {
+    const defender = this.players.get(this.getOpponentId(event.playerId));
+    const ids = new Set(event.intercepted ? [event.interceptionDefense] : event.hits.map(hit => hit.id));
+    const beforeShot = unit => ({ ...unit, health: unit.maxHealth, destroyed: false });
+    const units = this.serializeUnits(defender.units);
+    return {
+      launchers: units.launchers.filter(unit => ids.has(unit.id)).map(beforeShot),
+      defenses: units.defenses.filter(unit => ids.has(unit.id)).map(beforeShot)
+    };
+  }
+
   checkWinCondition() {
     // Win condition: All launchers of a team must be destroyed
     // Defenses don't count for win condition
@@ -2,6 +2,11 @@ import express from 'express';
 import { createServer } from 'http';
 import { WebSocketServer } from 'ws';
 import { setupWebSocket } from './websocket.js';
+import { getActiveRoomCount, getRoomReplay, getRoomConfig, getPublicRooms, startRoomCleanup, startLobbyUpdates } from './rooms.js';
+import { getConfig, getMaps, watchConfig, toClientConfig } from './config.js';
+import { listPresets } from './presets.js';
+import { listMaps } from './maps.js';
+import { initAccounts, startSessionCleanup, register, login, logout, getAccountForToken, updateAccount, getMatchHistory, toPublicAccount } from './accounts.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readFileSync } from 'fs';
@@ -22,7 +27,7 @@ const wss = new WebSocketServer({ server });
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
   } else {
@@ -30,18 +35,36 @@ app.use((req, res, next) => {
   }
 });
 
+// Serve config.json
+// With ?roomId= the config that room was created with (it may predate a reload),
+// otherwise the current one that new rooms get. Registered before the static
+// middleware so client/public/config.json (the client's offline fallback) doesn't shadow it
+app.get('/config.json', (req, res) => {
+  const roomId = typeof req.query.roomId === 'string' ? req.query.roomId.toUpperCase() : null;
+  const roomConfig = roomId ? getRoomConfig(roomId) : null;
+  logger.debug(`Serving config.json${roomConfig ? ` for room ${roomId}` : ''}`);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.json(toClientConfig(roomConfig || getConfig()));
+});
+
 // Serve static files
 app.use(express.static(join(__dirname, '../client/public')));
 // Serve server assets (sprites, audio)
 app.use('/assets', express.static(join(__dirname, 'assets')));
 app.use(express.json());
 
-// Serve config.json
-app.get('/config.json', (req, res) => {
-  logger.debug('Serving config.json');
-  res.setHeader('Content-Type', 'application/json');
+// Serve the rule presets rooms can be created with
+app.get('/presets', (req, res) => {
+  logger.debug('Serving presets');
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.sendFile(join(__dirname, 'config.json'));
+  res.json(listPresets(getConfig()));
+});
+
+// Serve the maps rooms can be played on
+app.get('/maps', (req, res) => {
+  logger.debug('Serving maps');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.json(listMaps(getMaps()));
 });
 
 // Serve version
@@ -52,8 +75,96 @@ app.get('/version', (req, res) => {
   res.json({ version });
 });
 
+// Serve the public rooms (the lobby list, also pushed over WebSocket as roomList)
+app.get('/rooms', (req, res) => {
+  logger.debug('Serving public rooms');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.json(getPublicRooms());
+});
+
+// Serve room stats for monitoring
+app.get('/stats', (req, res) => {
+  logger.debug('Serving stats');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.json({ activeRooms: getActiveRoomCount() });
+});
+
+// Serve the replay (event log) of a finished match
+app.get('/replays/:roomId', (req, res) => {
+  logger.debug(`Serving replay for room ${req.params.roomId}`);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  const replay = getRoomReplay(req.params.roomId);
+  if (!replay) {
+    res.status(404).json({ error: 'Replay not found' });
+    return;
+  }
+  res.setHeader('Content-Disposition', `attachment; filename="replay-${replay.roomId}.json"`);
+  res.json(replay);
+});
+
+// Accounts: register/login return { account, token }; the rest take the token
+// as `Authorization: Bearer <token>`. Errors are { error } with a 4xx status.
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+}
+
+// Express 4 doesn't catch rejected promises from async handlers
+function handleAccountRequest(handler) {
+  return async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    try {
+      const result = await handler(req, res);
+      if (result?.error) {
+        res.status(result.status || 400).json({ error: result.error });
+      } else if (result) {
+        res.json(result);
+      }
+    } catch (error) {
+      logger.error(`Account request ${req.method} ${req.path} failed:`, error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+// Resolves the signed-in account, or answers 401
+function requireAccount(handler) {
+  return handleAccountRequest(async (req, res) => {
+    const account = await getAccountForToken(getBearerToken(req));
+    if (!account) {
+      return { error: 'Not signed in', status: 401 };
+    }
+    return handler(req, account, res);
+  });
+}
+
+app.post('/accounts/register', handleAccountRequest(req => register(req.body)));
+
+app.post('/accounts/login', handleAccountRequest(req => login(req.body)));
+
+app.post('/accounts/logout', handleAccountRequest(async req => {
+  await logout(getBearerToken(req));
+  return { success: true };
+}));
+
+app.get('/accounts/me', requireAccount((req, account) => ({ account: toPublicAccount(account) })));
+
+// Body: { displayName?, settings? } (settings replaces the stored object)
+app.put('/accounts/me', requireAccount((req, account) => updateAccount(account.id, req.body)));
+
+// Newest first; ?limit= caps the count (up to accounts.maxMatchHistory)
+app.get('/accounts/me/matches', requireAccount(async (req, account) => {
+  const limit = Number.parseInt(req.query.limit, 10);
+  return { matches: await getMatchHistory(account.id, Number.isInteger(limit) && limit > 0 ? limit : undefined) };
+}));
+
 // Setup WebSocket
+await initAccounts(getConfig());
+startSessionCleanup();
 setupWebSocket(wss);
+startRoomCleanup();
+startLobbyUpdates();
+watchConfig();
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
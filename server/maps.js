@@ -0,0 +1,82 @@
+// Map files
+// server/maps/<id>.json describes a board: { titleFA, gridSize, deploymentZones?,
+// terrain?, structures? }. A room created with `map: "<id>"` plays on it: the map
+// replaces gridSize, terrain tiles, deployment zones and structures of the config.
+// Terrain types from config.json stay available, a map can add its own.
+// Maps are read together with config.json (at boot and on every reload) and
+// each one has to produce a valid config, so a broken map fails at load time.
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { basename, dirname, join } from 'path';
+import { validateConfig, validateMapFile } from './validators/config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const MAPS_DIR = join(__dirname, 'maps');
+
+// Map ids are file names, same rules as unit and preset ids
+const MAP_ID_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// New config object for a room on this map, the base config is never modified
+export function applyMap(config, id, map) {
+  const { deploymentZones, ...rest } = config;
+  return {
+    ...rest,
+    gridSize: map.gridSize,
+    terrain: {
+      types: { ...config.terrain?.types, ...map.terrain?.types },
+      tiles: map.terrain?.tiles || []
+    },
+    ...(map.deploymentZones ? { deploymentZones: map.deploymentZones } : {}),
+    structures: map.structures || [],
+    map: { id, titleFA: map.titleFA }
+  };
+}
+
+// Returns { maps, errors }: maps is a Map of id -> map file contents (valid maps
+// only), errors are "maps/<file> -> path: message" strings
+export function readMaps(config, dir = MAPS_DIR) {
+  const maps = new Map();
+  const errors = [];
+  if (!existsSync(dir)) {
+    return { maps, errors };
+  }
+
+  readdirSync(dir).filter(file => file.endsWith('.json')).sort().forEach(file => {
+    const name = `maps/${file}`;
+    const id = basename(file, '.json');
+    if (!MAP_ID_PATTERN.test(id)) {
+      errors.push(`${name}: file name must be a valid map id (a letter, then letters, digits or _)`);
+      return;
+    }
+
+    let map;
+    try {
+      map = JSON.parse(readFileSync(join(dir, file), 'utf-8'));
+    } catch (error) {
+      errors.push(`${name}: ${error.message}`);
+      return;
+    }
+
+    const shape = validateMapFile(map);
+    const result = shape.valid ? validateConfig(applyMap(config, id, map)) : shape;
+    if (!result.valid) {
+      result.errors.forEach(error => errors.push(`${name} -> ${error}`));
+      return;
+    }
+    maps.set(id, map);
+  });
+
+  return { maps, errors };
+}
+
+// Maps for the create-room menu
+export function listMaps(maps) {
+  return [...maps.entries()].map(([id, map]) => ({
+    id,
+    titleFA: map.titleFA,
+    gridSize: map.gridSize
+  }));
+}
@@ -0,0 +1,73 @@
+// Quick-match queue
+// Players waiting for an opponent who wants the same rules (preset and map).
+// rooms.js pairs them into a new room; this module only keeps the queue and
+// the recent wait times the estimate shown to waiting players is based on.
+
+const WAIT_SAMPLES = 10; // recent waits averaged per rules key
+
+export class MatchQueue {
+  constructor() {
+    this.entries = []; // { ws, preset, map, name, key, queuedAt }, oldest first
+    this.recentWaits = new Map(); // rules key -> wait times (ms) of the last matched players
+  }
+
+  static getRulesKey(preset, map) {
+    return `${preset ?? ''}|${map ?? ''}`;
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  has(ws) {
+    return this.entries.some(entry => entry.ws === ws);
+  }
+
+  // Re-queueing the same socket (other rules) replaces its entry
+  add(ws, { preset = null, map = null, name = null } = {}) {
+    this.remove(ws);
+    const entry = { ws, preset, map, name, key: MatchQueue.getRulesKey(preset, map), queuedAt: Date.now() };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  remove(ws) {
+    const index = this.entries.findIndex(entry => entry.ws === ws);
+    return index === -1 ? null : this.entries.splice(index, 1)[0];
+  }
+
+  // The two longest-waiting players with these rules, taken off the queue (null
+  // if there aren't two). There are no ratings yet, so only the rules must match.
+  takeMatch(key) {
+    const waiting = this.entries.filter(entry => entry.key === key);
+    if (waiting.length < 2) return null;
+
+    const pair = waiting.slice(0, 2);
+    this.entries = this.entries.filter(entry => !pair.includes(entry));
+    const now = Date.now();
+    pair.forEach(entry => this.recordWait(key, now - entry.queuedAt));
+    return pair;
+  }
+
+  recordWait(key, waitMs) {
+    const waits = this.recentWaits.get(key) || [];
+    waits.push(waitMs);
+    if (waits.length > WAIT_SAMPLES) waits.shift();
+    this.recentWaits.set(key, waits);
+  }
+
+  // QUEUE_STATUS fields for a waiting player: place in the whole queue (a pair
+  // with the same rules is matched at once, so the others want different rules)
+  // and the average wait of recent matches with the same rules (null until there is one)
+  getStatus(entry) {
+    const waits = this.recentWaits.get(entry.key) || [];
+    const averageWaitMs = waits.length > 0
+      ? waits.reduce((sum, waitMs) => sum + waitMs, 0) / waits.length
+      : null;
+    return {
+      position: this.entries.indexOf(entry) + 1,
+      queueSize: this.entries.length,
+      estimatedWaitSeconds: averageWaitMs === null ? null : Math.round(averageWaitMs / 1000)
+    };
+  }
+}
@@ -0,0 +1,112 @@
+// Rule presets and custom-rules rooms
+// A room's config is config.json with a named preset (config.presets) and/or
+// custom overrides from CREATE_ROOM applied on top. Only gridSize, buildBudget,
+// mana, battle and deploymentZones can be overridden; mana and battle are merged
+// key by key, deploymentZones player by player.
+// A room can also pick a map (maps.js), which is applied first; the map sets the
+// grid size, so rules that change it are rejected.
+
+import { validateConfig, validateRuleOverrides } from './validators/config.js';
+import { applyMap } from './maps.js';
+
+const RULE_OVERRIDE_KEYS = ['gridSize', 'buildBudget', 'mana', 'battle', 'deploymentZones'];
+
+// Later overrides win
+function mergeOverrides(...overridesList) {
+  const merged = {};
+  overridesList.forEach(overrides => {
+    RULE_OVERRIDE_KEYS.forEach(key => {
+      if (overrides?.[key] === undefined) return;
+      merged[key] = typeof overrides[key] === 'object'
+        ? { ...merged[key], ...overrides[key] }
+        : overrides[key];
+    });
+  });
+  return merged;
+}
+
+// New config object, the base config is never modified
+export function applyRuleOverrides(config, overrides) {
+  return { ...config, ...mergeOverrides(config, overrides) };
+}
+
+function hasPreset(config, presetId) {
+  return Object.prototype.hasOwnProperty.call(config.presets || {}, presetId);
+}
+
+// Presets for the create-room menu
+export function listPresets(config) {
+  return Object.entries(config.presets || {}).map(([id, { titleFA, ...overrides }]) => ({
+    id,
+    titleFA,
+    overrides
+  }));
+}
+
+// Every preset has to produce a valid config too. Called when config.json is
+// loaded, so a broken preset fails at boot rather than when a room picks it.
+export function validatePresets(config) {
+  const errors = [];
+  Object.entries(config.presets || {}).forEach(([id, { titleFA, ...overrides }]) => {
+    validateConfig(applyRuleOverrides(config, overrides)).errors.forEach(error => {
+      errors.push(`presets.${id} -> ${error}`);
+    });
+  });
+  return errors;
+}
+
+// Build the config of a new room from CREATE_ROOM's `preset`, `rules` and `map`
+// (`maps` is the loaded map list, see config.getMaps).
+// Returns { config, rules, errors }; `rules` describes the variant for the lobby:
+// { preset, titleFA, overrides, map } (preset/titleFA are null for plain custom
+// rules, map is { id, titleFA } or null).
+export function resolveRoomRules(baseConfig, { preset = null, rules = null, map = null } = {}, maps = new Map()) {
+  const errors = [];
+  let presetOverrides = {};
+
+  if (preset !== null) {
+    if (typeof preset !== 'string' || !hasPreset(baseConfig, preset)) {
+      errors.push(`preset: unknown preset "${preset}"`);
+    } else {
+      const { titleFA, ...overrides } = baseConfig.presets[preset];
+      presetOverrides = overrides;
+    }
+  }
+  if (rules !== null) {
+    errors.push(...validateRuleOverrides(rules).errors);
+  }
+  if (map !== null && (typeof map !== 'string' || !maps.has(map))) {
+    errors.push(`map: unknown map "${map}"`);
+  }
+  if (errors.length > 0) {
+    return { config: null, rules: null, errors };
+  }
+
+  const overrides = mergeOverrides(presetOverrides, rules);
+  if (map !== null && overrides.gridSize !== undefined) {
+    const source = rules?.gridSize !== undefined ? 'rules.gridSize' : `preset "${preset}"`;
+    return {
+      config: null,
+      rules: null,
+      errors: [`${source}: the grid size is set by the map "${map}" and can't be changed`]
+    };
+  }
+  const mapConfig = map !== null ? applyMap(baseConfig, map, maps.get(map)) : baseConfig;
+  const config = applyRuleOverrides(mapConfig, overrides);
+  // Cross-field rules against the merged result (e.g. units must still fit a smaller grid)
+  const result = validateConfig(config);
+  if (!result.valid) {
+    return { config: null, rules: null, errors: result.errors };
+  }
+
+  return {
+    config,
+    rules: {
+      preset,
+      titleFA: preset !== null ? baseConfig.presets[preset].titleFA : null,
+      overrides,
+      map: config.map ?? null
+    },
+    errors: []
+  };
+}
@@ -0,0 +1,121 @@
+// Match recording and replay storage
+// Every GameManager owns a MatchRecorder that appends an ordered event log;
+// when the game ends the replay is saved here and served over /replays/:roomId.
+
+import { mkdirSync, readFileSync, existsSync } from 'fs';
+import { writeFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join, isAbsolute } from 'path';
+import { REPLAY_FORMAT_VERSION } from '../shared/constants.js';
+import logger from '../shared/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_MAX_IN_MEMORY = 100;
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Replay document layout:
+// {
+//   version, roomId, seed, config, startedAt, finishedAt, winner, reason,
+//   events: [{ seq, t, type, ...payload }]   // t = ms since recording started
+// }
+// Event types: buildPhaseStart, unitsPlaced, autoPlaced, battleStart, shotRequested,
+// shotRejected, shotResolved, manaUpdate, turnChange, playerDisconnected,
+// playerReconnected, gameOver
+export class MatchRecorder {
+  constructor(roomId, seed, config, onRecord = null) {
+    this.roomId = roomId;
+    this.seed = seed;
+    // Snapshot the rules the match was played with, config.json may change later
+    this.config = JSON.parse(JSON.stringify(config));
+    this.startedAt = Date.now();
+    this.events = [];
+    this.onRecord = onRecord; // called after every event (live spectators)
+  }
+
+  record(type, payload = {}) {
+    this.events.push({
+      seq: this.events.length,
+      t: Date.now() - this.startedAt,
+      type,
+      ...payload
+    });
+    if (this.onRecord) {
+      this.onRecord();
+    }
+  }
+
+  toJSON({ winner = null, reason = null, finishedAt = null } = {}) {
+    return {
+      version: REPLAY_FORMAT_VERSION,
+      roomId: this.roomId,
+      seed: this.seed,
+      config: this.config,
+      startedAt: new Date(this.startedAt).toISOString(),
+      finishedAt: finishedAt ? new Date(finishedAt).toISOString() : null,
+      winner,
+      reason,
+      events: this.events
+    };
+  }
+
+  // The first `eventCount` events of a match still being played, without the
+  // seed (it would predict the interception rolls still to come). `mapEvent`
+  // leaves out what the viewer may not see yet.
+  toLiveJSON(eventCount, mapEvent = event => event) {
+    const { seed, ...replay } = this.toJSON();
+    return { ...replay, events: this.events.slice(0, eventCount).map(mapEvent) };
+  }
+}
+
+// Finished replays, newest last. Oldest entries are evicted from memory first;
+// with replays.directory set they stay readable from disk.
+const replays = new Map(); // roomId -> replay document
+
+function getReplayDirectory(config) {
+  const directory = config.replays?.directory;
+  if (!directory) return null;
+  // Relative paths are resolved against the server directory, like config.json
+  return isAbsolute(directory) ? directory : join(__dirname, directory);
+}
+
+export function saveReplay(replay, config) {
+  // Room ids are reused once a room is removed: keep only the latest match per id
+  replays.delete(replay.roomId);
+  replays.set(replay.roomId, replay);
+
+  const maxInMemory = config.replays?.maxInMemory ?? DEFAULT_MAX_IN_MEMORY;
+  while (replays.size > maxInMemory) {
+    replays.delete(replays.keys().next().value);
+  }
+
+  const directory = getReplayDirectory(config);
+  if (!directory) return;
+
+  try {
+    mkdirSync(directory, { recursive: true });
+  } catch (error) {
+    logger.error(`Failed to create replay directory ${directory}:`, error);
+    return;
+  }
+  writeFile(join(directory, `${replay.roomId}.json`), JSON.stringify(replay))
+    .then(() => logger.room(replay.roomId, `Replay saved (${replay.events.length} events)`))
+    .catch(error => logger.error(`Failed to write replay for room ${replay.roomId}:`, error));
+}
+
+export function getReplay(roomId, config) {
+  if (!ROOM_ID_PATTERN.test(roomId)) return null;
+  if (replays.has(roomId)) return replays.get(roomId);
+
+  const directory = getReplayDirectory(config);
+  if (!directory) return null;
+  const file = join(directory, `${roomId}.json`);
+  if (!existsSync(file)) return null;
+  try {
+    return JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (error) {
+    logger.error(`Failed to read replay for room ${roomId}:`, error);
+    return null;
+  }
+}
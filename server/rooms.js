@@ -1,21 +1,43 @@
 import { GameManager } from './gameManager.js';
 import { MESSAGE_TYPES, GAME_PHASES } from '../shared/types.js';
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { loadConfig, getConfig, getConfigVersion, getMaps } from './config.js';
+import { getReplay } from './replays.js';
+import { resolveRoomRules } from './presets.js';
+import { BotPlayer } from './bot/botPlayer.js';
+import { MatchQueue } from './matchmaking.js';
+import { normalizeDisplayName } from '../shared/displayName.js';
+import { getAccountForToken, recordMatch } from './accounts.js';
 import logger from '../shared/logger.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+// Load config (exits with the validation errors if config.json is invalid).
+// Rooms pin the config that was current when they were created, see config.js.
+loadConfig();
 
-// Load config
-const config = JSON.parse(readFileSync(join(__dirname, 'config.json'), 'utf-8'));
+const ROOM_CLEANUP_INTERVAL_MS = 10000;
+const LOBBY_REFRESH_INTERVAL_MS = 2000;
+const DEFAULT_AI_JOIN_DELAY_MS = 1000;
+const AI_DISPLAY_NAME = 'هوش مصنوعی';
 
 const rooms = new Map(); // roomId -> GameManager
 const playerToRoom = new Map(); // ws -> roomId
 const playerToId = new Map(); // ws -> playerId
+const spectatorToRoom = new Map(); // ws -> roomId (read-only sockets)
+const lobbySubscribers = new Set(); // sockets that sent LIST_ROOMS and get its updates
+let lastLobbyList = null; // JSON of the last ROOM_LIST pushed to the subscribers
+const matchQueue = new MatchQueue(); // quick-match players waiting for an opponent
+const bots = new Map(); // roomId -> BotPlayer (single-player rooms)
+const socketAccounts = new Map(); // ws -> { id, displayName } of sockets opened with a session token
 
 export async function handleWebSocketConnection(ws, data) {
+  // Spectators only receive; they can't play, join or create rooms
+  if (spectatorToRoom.has(ws)) {
+    ws.send(JSON.stringify({
+      type: MESSAGE_TYPES.ERROR,
+      message: 'Spectators cannot send game actions'
+    }));
+    return;
+  }
+  
   switch (data.type) {
     case MESSAGE_TYPES.CREATE_ROOM:
       handleCreateRoom(ws, data);
@@ -29,6 +51,12 @@ export async function handleWebSocketConnection(ws, data) {
       handlePlaceUnits(ws, data);
       break;
     
+    case MESSAGE_TYPES.ADD_UNIT:
+    case MESSAGE_TYPES.REMOVE_UNIT:
+    case MESSAGE_TYPES.MOVE_UNIT:
+      handleUnitEdit(ws, data);
+      break;
+    
     case MESSAGE_TYPES.READY:
       handleReady(ws, data);
       break;
@@ -45,6 +73,26 @@ export async function handleWebSocketConnection(ws, data) {
       handleEndTurn(ws, data);
       break;
     
+    case MESSAGE_TYPES.RESUME_SESSION:
+      handleResumeSession(ws, data);
+      break;
+    
+    case MESSAGE_TYPES.SPECTATE_ROOM:
+      handleSpectateRoom(ws, data);
+      break;
+    
+    case MESSAGE_TYPES.LIST_ROOMS:
+      handleListRooms(ws);
+      break;
+    
+    case MESSAGE_TYPES.JOIN_QUEUE:
+      handleJoinQueue(ws, data);
+      break;
+    
+    case MESSAGE_TYPES.LEAVE_QUEUE:
+      handleLeaveQueue(ws);
+      break;
+    
     default:
       ws.send(JSON.stringify({
         type: MESSAGE_TYPES.ERROR,
@@ -54,12 +102,81 @@ export async function handleWebSocketConnection(ws, data) {
 }
 
 function handleCreateRoom(ws, data) {
+  const name = resolveNameFor(ws, data.name);
+  if (name === undefined) return;
+  
+  dropFromQueue(ws);
+  const room = openRoom(ws, {
+    preset: data.preset ?? null,
+    rules: data.rules ?? null,
+    map: data.map ?? null,
+    isPublic: data.public === true,
+    name
+  });
+  if (!room) return;
+  
+  if (data.vsAI) {
+    attachBot(room.roomId, data.difficulty);
+  }
+  refreshLobby();
+}
+
+// Rules of a new room, or null after sending the rejection to `ws`
+function resolveRulesFor(ws, { preset, rules, map }) {
+  const resolved = resolveRoomRules(getConfig(), { preset, rules, map }, getMaps());
+  if (resolved.errors.length > 0) {
+    logger.warn(`Room rules rejected: ${resolved.errors.join('; ')}`);
+    ws.send(JSON.stringify({
+      type: MESSAGE_TYPES.ERROR,
+      message: 'Invalid room rules',
+      details: resolved.errors
+    }));
+    return null;
+  }
+  return resolved;
+}
+
+// Display name sent with CREATE_ROOM / JOIN_ROOM / JOIN_QUEUE (the account's when
+// none was given, null for a guest), or undefined after sending the rejection to `ws`
+function resolveNameFor(ws, name) {
+  const result = normalizeDisplayName(name ?? socketAccounts.get(ws)?.displayName);
+  if (result.error) {
+    logger.warn(`Display name rejected: ${result.error}`);
+    ws.send(JSON.stringify({
+      type: MESSAGE_TYPES.ERROR,
+      message: 'Invalid display name',
+      details: [result.error]
+    }));
+    return undefined;
+  }
+  return result.name;
+}
+
+// Creates a room with `ws` as player1 (display name `name`) and starts its build
+// phase (CREATE_ROOM and quick matches). Optional variant: a map, a named preset
+// and/or custom overrides of gridSize, buildBudget, mana, battle. Returns
+// { roomId, gameManager }, or null when the rules were rejected.
+function openRoom(ws, { preset = null, rules: customRules = null, map = null, isPublic = false, name = null }) {
+  const hasCustomRules = preset != null || customRules != null || map != null;
+  const resolved = resolveRulesFor(ws, { preset, rules: customRules, map });
+  if (!resolved) return null;
+  const { config, rules } = resolved;
+  
   const roomId = generateRoomId();
-  logger.room(roomId, 'Room created');
-  const gameManager = new GameManager(roomId, config);
+  const gameManager = new GameManager(roomId, config, {
+    saveReplays: true,
+    rules: hasCustomRules ? rules : null,
+    isPublic,
+    onGameOver: recordMatchHistory
+  });
+  logger.room(roomId, `Room created (seed ${gameManager.seed}, config v${getConfigVersion()}${gameManager.isPublic ? ', public' : ''})`);
+  if (hasCustomRules) {
+    const ruleSet = rules.preset || (Object.keys(rules.overrides).length > 0 ? 'custom' : 'standard');
+    logger.room(roomId, `Room rules: ${ruleSet}${rules.map ? `, map ${rules.map.id}` : ''}`, rules.overrides);
+  }
   
   const playerId = 'player1';
-  gameManager.addPlayer(playerId, ws);
+  gameManager.addPlayer(playerId, ws, name, socketAccounts.get(ws)?.id);
   
   rooms.set(roomId, gameManager);
   playerToRoom.set(ws, roomId);
@@ -75,8 +192,43 @@ function handleCreateRoom(ws, data) {
     roomId,
     playerId,
     players: 1,
-    maxPlayers: 2
+    maxPlayers: 2,
+    playerNames: gameManager.getPlayerNames(),
+    resumeToken: gameManager.players.get(playerId).resumeToken,
+    ...gameManager.getRoomRules()
   }));
+  
+  return { roomId, gameManager };
+}
+
+// Single-player match: the bot takes the player2 seat after a short delay, so the
+// creator's client is already listening when the build phase starts (as with a human join)
+function attachBot(roomId, difficulty) {
+  const gameManager = rooms.get(roomId);
+  const bot = new BotPlayer({
+    roomId,
+    playerId: 'player2',
+    config: gameManager.config,
+    difficulty,
+    sendToServer: (ws, message) => {
+      handleWebSocketConnection(ws, message).catch(error => {
+        logger.error(`Error handling AI message in room ${roomId}:`, error);
+      });
+    }
+  });
+  bots.set(roomId, bot);
+  logger.room(roomId, `AI opponent (${bot.difficulty}) will join`);
+  
+  const joinDelayMs = gameManager.config.ai?.joinDelayMs ?? DEFAULT_AI_JOIN_DELAY_MS;
+  setTimeout(() => {
+    // Room may have been removed while waiting
+    if (rooms.get(roomId) !== gameManager || gameManager.getPlayerCount() >= 2) {
+      bot.dispose();
+      if (bots.get(roomId) === bot) bots.delete(roomId);
+      return;
+    }
+    seatSecondPlayer(roomId, gameManager, bot.ws, AI_DISPLAY_NAME);
+  }, joinDelayMs);
 }
 
 function handleJoinRoom(ws, data) {
@@ -93,7 +245,8 @@ function handleJoinRoom(ws, data) {
     return;
   }
   
-  if (gameManager.getPlayerCount() >= 2) {
+  // Single-player rooms keep their seat for the bot
+  if (gameManager.getPlayerCount() >= 2 || bots.has(roomId)) {
     logger.warn(`Room ${roomId} is full`);
     ws.send(JSON.stringify({
       type: MESSAGE_TYPES.ERROR,
@@ -102,20 +255,62 @@ function handleJoinRoom(ws, data) {
     return;
   }
   
+  const name = resolveNameFor(ws, data.name);
+  if (name === undefined) return;
+  
+  dropFromQueue(ws);
+  seatSecondPlayer(roomId, gameManager, ws, name);
+}
+
+// Attaches a read-only socket; full rooms and single-player rooms can be watched too
+function handleSpectateRoom(ws, data) {
+  const { roomId } = data;
+  logger.room(roomId, 'Spectate room request');
+  const gameManager = rooms.get(roomId);
+  
+  if (!gameManager) {
+    logger.warn(`Room not found: ${roomId}`);
+    ws.send(JSON.stringify({
+      type: MESSAGE_TYPES.ERROR,
+      message: 'Room not found'
+    }));
+    return;
+  }
+  
+  // A player's own socket would see the opponent's board
+  if (playerToRoom.has(ws)) {
+    ws.send(JSON.stringify({
+      type: MESSAGE_TYPES.ERROR,
+      message: 'Players cannot spectate'
+    }));
+    return;
+  }
+  
+  spectatorToRoom.set(ws, roomId);
+  gameManager.addSpectator(ws);
+}
+
+function seatSecondPlayer(roomId, gameManager, ws, name = null) {
   const playerId = 'player2';
-  gameManager.addPlayer(playerId, ws);
+  gameManager.addPlayer(playerId, ws, name, socketAccounts.get(ws)?.id);
   
   playerToRoom.set(ws, roomId);
   playerToId.set(ws, playerId);
   
   logger.room(roomId, `Player 2 joined (${playerId})`);
   
-  // Notify both players
-  gameManager.broadcast({
-    type: MESSAGE_TYPES.ROOM_UPDATE,
-    roomId,
-    players: 2,
-    maxPlayers: 2
+  // Notify both players (each with their own resume token)
+  gameManager.players.forEach((player, id) => {
+    gameManager.send(player, {
+      type: MESSAGE_TYPES.ROOM_UPDATE,
+      roomId,
+      playerId: id,
+      players: 2,
+      maxPlayers: 2,
+      playerNames: gameManager.getPlayerNames(),
+      resumeToken: player.resumeToken,
+      ...gameManager.getRoomRules()
+    });
   });
   
   // Start build phase (this will send BUILD_PHASE_STATE to both players)
@@ -124,6 +319,56 @@ function handleJoinRoom(ws, data) {
   
   // Log to verify player2 received the message
   logger.room(roomId, `Player2 joined, build phase should be started. Phase: ${gameManager.phase}`);
+  refreshLobby();
+}
+
+// Public rooms that are still being played, newest first. Rooms no human player
+// is connected to are left out; `joinable` rooms have a free seat. Also served as GET /rooms.
+export function getPublicRooms() {
+  const publicRooms = [];
+  rooms.forEach((gameManager, roomId) => {
+    if (!gameManager.isPublic || gameManager.phase === GAME_PHASES.GAME_OVER) return;
+    const bot = bots.get(roomId);
+    const hasConnectedPlayer = Array.from(gameManager.players.entries())
+      .some(([playerId, player]) => player.connected && playerId !== bot?.playerId);
+    if (!hasConnectedPlayer) return;
+    publicRooms.push({
+      ...gameManager.getLobbyEntry(),
+      joinable: gameManager.getPlayerCount() < 2 && !bot,
+      vsAI: Boolean(bot)
+    });
+  });
+  return publicRooms.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// The socket gets the list now and again whenever it changes, until it closes
+function handleListRooms(ws) {
+  lobbySubscribers.add(ws);
+  ws.send(JSON.stringify({
+    type: MESSAGE_TYPES.ROOM_LIST,
+    rooms: getPublicRooms()
+  }));
+}
+
+// Pushes the list to the lobby subscribers if it changed. Called when rooms are
+// created, filled or removed, and on a timer for phase changes and drops.
+function refreshLobby() {
+  if (lobbySubscribers.size === 0) {
+    lastLobbyList = null;
+    return;
+  }
+  const publicRooms = getPublicRooms();
+  const list = JSON.stringify(publicRooms);
+  if (list === lastLobbyList) return;
+  lastLobbyList = list;
+  lobbySubscribers.forEach(ws => {
+    if (ws.readyState === 1) { // WebSocket.OPEN
+      ws.send(JSON.stringify({
+        type: MESSAGE_TYPES.ROOM_LIST,
+        rooms: publicRooms
+      }));
+    }
+  });
 }
 
 function handlePlaceUnits(ws, data) {
@@ -145,13 +390,118 @@ function handlePlaceUnits(ws, data) {
       buildBudget: result.remainingBudget
     }));
   } else {
+    // Placement rejections also carry code, unitIndex and reason (see validators/placement.js)
+    const { success, error, ...details } = result;
+    ws.send(JSON.stringify({
+      type: MESSAGE_TYPES.ERROR,
+      message: error,
+      ...details
+    }));
+  }
+}
+
+// ADD_UNIT / REMOVE_UNIT / MOVE_UNIT: always answered with a UNIT_ACK echoing the
+// client's requestId, with the player's authoritative units and budget
+function handleUnitEdit(ws, data) {
+  const roomId = playerToRoom.get(ws);
+  if (!roomId) return;
+  
+  const gameManager = rooms.get(roomId);
+  if (!gameManager) return;
+  
+  const playerId = playerToId.get(ws);
+  let result;
+  if (data.type === MESSAGE_TYPES.ADD_UNIT) {
+    result = gameManager.addUnit(playerId, data.unit);
+  } else if (data.type === MESSAGE_TYPES.REMOVE_UNIT) {
+    result = gameManager.removeUnit(playerId, data.unitId);
+  } else {
+    result = gameManager.moveUnit(playerId, data.unitId, data.x, data.y, data.rotated);
+  }
+  
+  const { error, ...details } = result;
+  ws.send(JSON.stringify({
+    type: MESSAGE_TYPES.UNIT_ACK,
+    requestId: data.requestId ?? null,
+    action: data.type,
+    ...(error ? { message: error } : {}),
+    ...details
+  }));
+}
+
+// Quick match: wait for an opponent who wants the same preset and map. The pair
+// gets a private room just like a create + join, the longest-waiting player as player1.
+function handleJoinQueue(ws, data) {
+  if (playerToRoom.has(ws)) {
     ws.send(JSON.stringify({
       type: MESSAGE_TYPES.ERROR,
-      message: result.error
+      message: 'Already in a room'
+    }));
+    return;
+  }
+  
+  // Rejected now rather than when an opponent turns up
+  const preset = data.preset ?? null;
+  const map = data.map ?? null;
+  if (!resolveRulesFor(ws, { preset, map })) return;
+  const name = resolveNameFor(ws, data.name);
+  if (name === undefined) return;
+  
+  const entry = matchQueue.add(ws, { preset, map, name });
+  logger.info(`Quick match: player queued (preset ${preset ?? 'standard'}, map ${map ?? 'none'}, ${matchQueue.size} waiting)`);
+  
+  const pair = matchQueue.takeMatch(entry.key);
+  if (pair) {
+    startQuickMatch(pair);
+  }
+  sendQueueStatus();
+}
+
+function handleLeaveQueue(ws) {
+  if (!matchQueue.remove(ws)) return;
+  logger.info(`Quick match: player left the queue (${matchQueue.size} waiting)`);
+  ws.send(JSON.stringify({
+    type: MESSAGE_TYPES.QUEUE_STATUS,
+    queued: false
+  }));
+  sendQueueStatus();
+}
+
+function startQuickMatch([first, second]) {
+  const room = openRoom(first.ws, { preset: first.preset, map: first.map, name: first.name });
+  if (!room) {
+    // The rules went away in a config reload since the first player queued
+    second.ws.send(JSON.stringify({
+      type: MESSAGE_TYPES.ERROR,
+      message: 'Invalid room rules'
     }));
+    return;
+  }
+  logger.room(room.roomId, 'Quick match: room created for two queued players');
+  seatSecondPlayer(room.roomId, room.gameManager, second.ws, second.name);
+}
+
+// A socket that takes a seat some other way (or closes) stops waiting for a quick match
+function dropFromQueue(ws) {
+  if (matchQueue.remove(ws)) {
+    sendQueueStatus();
   }
 }
 
+// Every waiting player gets their place in the queue and the estimated wait
+function sendQueueStatus() {
+  matchQueue.entries.forEach(entry => {
+    if (entry.ws.readyState !== 1) return; // WebSocket.OPEN
+    entry.ws.send(JSON.stringify({
+      type: MESSAGE_TYPES.QUEUE_STATUS,
+      queued: true,
+      preset: entry.preset,
+      map: entry.map,
+      ...matchQueue.getStatus(entry)
+    }));
+  });
+}
+
 function handleReady(ws, data) {
   const roomId = playerToRoom.get(ws);
   if (!roomId) return;
@@ -159,6 +509,9 @@ function handleReady(ws, data) {
   const gameManager = rooms.get(roomId);
   if (!gameManager) return;
   
+  // Ready only matters while building (battle may already have started on timeout)
+  if (gameManager.phase !== GAME_PHASES.BUILD) return;
+  
   const playerId = playerToId.get(ws);
   gameManager.setPlayerReady(playerId);
   
@@ -178,44 +531,10 @@ function handleReady(ws, data) {
   }
 }
 
+// Legacy message from clients whose local build countdown expired. The build
+// deadline is owned by GameManager now, so this only marks the sender ready.
 function handleReadyToStart(ws, data) {
-  const roomId = playerToRoom.get(ws);
-  if (!roomId) return;
-  
-  const gameManager = rooms.get(roomId);
-  if (!gameManager) return;
-  
-  // Check if all players have launchers before forcing battle phase
-  if (!gameManager.allPlayersHaveLaunchers()) {
-    logger.room(roomId, 'Cannot force start battle - not all players have launchers');
-    // Ensure we're in BUILD phase
-    gameManager.phase = GAME_PHASES.BUILD;
-    // Don't mark players as ready, keep them in build phase
-    gameManager.broadcast({
-      type: MESSAGE_TYPES.ERROR,
-      message: 'همه بازیکنان باید حداقل یک موشک‌انداز در زمین داشته باشند'
-    });
-    // Keep in BUILD phase - don't reset ready states here, let players manually ready
-    // Send BUILD_PHASE_STATE to each player with their own budget
-    gameManager.players.forEach((player, playerId) => {
-      player.ws.send(JSON.stringify({
-        type: MESSAGE_TYPES.BUILD_PHASE_STATE,
-        phase: GAME_PHASES.BUILD,
-        buildBudget: player.buildBudget,
-        gridSize: gameManager.config.gridSize
-      }));
-    });
-    return;
-  }
-  
-  // Force start battle phase after 30 seconds
-  // Mark all players as ready
-  gameManager.players.forEach((player, playerId) => {
-    player.ready = true;
-  });
-  
-  // Start battle phase
-  gameManager.startBattlePhase();
+  handleReady(ws, data);
 }
 
 function handleRequestShot(ws, data) {
@@ -245,78 +564,41 @@ function handleRequestShot(ws, data) {
     return;
   }
   
-  if (result.success) {
-    logger.room(roomId, `Shot successful, intercepted: ${result.intercepted}`);
-    
-    // Get opponent units for damage message
-    const opponentId = playerId === 'player1' ? 'player2' : 'player1';
-    const opponent = gameManager.players.get(opponentId);
-    
-    gameManager.broadcast({
+  logger.room(roomId, `Shot successful, intercepted: ${result.intercepted}`);
+  
+  // Each player gets their own units and only the opponent units they can see.
+  // The path starts on the attacking launcher, so the defender only gets the
+  // launcher and its path once that launcher is revealed to them.
+  const launcher = gameManager.players.get(playerId).units.launchers.find(l => l.id === data.launcherId);
+  gameManager.players.forEach((player, id) => {
+    const seesLauncher = id === playerId || gameManager.isOpponentUnitVisible(id, data.launcherId);
+    gameManager.send(player, {
       type: MESSAGE_TYPES.APPLY_DAMAGE,
       attackerId: playerId,
-      launcherId: data.launcherId,
-      pathTiles: data.pathTiles,
+      ...(seesLauncher && {
+        launcherId: data.launcherId,
+        launcherType: launcher?.type,
+        pathTiles: data.pathTiles
+      }),
       damage: result.damage,
       intercepted: result.intercepted,
+      interceptionDefense: result.interceptionDefense,
       targetCells: result.targetCells,
-      // Include updated units for both players
-      units: {
-        launchers: gameManager.players.get(playerId).units.launchers.map(l => ({
-          id: l.id,
-          type: l.type,
-          x: l.x,
-          y: l.y,
-          destroyed: l.destroyed
-        })),
-        defenses: gameManager.players.get(playerId).units.defenses.map(d => ({
-          id: d.id,
-          type: d.type,
-          x: d.x,
-          y: d.y,
-          destroyed: d.destroyed
-        }))
-      },
-      opponentUnits: {
-        launchers: opponent.units.launchers.map(l => ({
-          id: l.id,
-          type: l.type,
-          x: l.x,
-          y: l.y,
-          destroyed: l.destroyed
-        })),
-        defenses: opponent.units.defenses.map(d => ({
-          id: d.id,
-          type: d.type,
-          x: d.x,
-          y: d.y,
-          destroyed: d.destroyed
-        }))
-      }
+      ...gameManager.getUnitsState(id)
     });
-    
-    // Update mana
-    gameManager.updateManaAfterShot(playerId, data.launcherId);
-    
-    // Check win condition before switching turn
-    const winner = gameManager.checkWinCondition();
-    if (winner) {
-      logger.room(roomId, `Game over! Winner: ${winner}`);
-      gameManager.broadcast({
-        type: MESSAGE_TYPES.GAME_OVER,
-        winner
-      });
-    } else {
-      // Switch turn after shot (only once)
-      logger.room(roomId, 'Switching turn after shot');
-      gameManager.switchTurn();
-    }
+  });
+  
+  // Update mana
+  gameManager.updateManaAfterShot(playerId, data.launcherId);
+  
+  // Check win condition before switching turn
+  const winner = gameManager.checkWinCondition();
+  if (winner) {
+    gameManager.endGame(winner);
   } else {
-    logger.warn(`Shot rejected: ${result.error}`);
-    ws.send(JSON.stringify({
-      type: MESSAGE_TYPES.SHOT_REJECTED,
-      reason: result.error
-    }));
+    // Switch turn after shot (only once)
+    logger.room(roomId, 'Switching turn after shot');
+    gameManager.switchTurn();
   }
 }
 
@@ -329,8 +611,8 @@ function handleEndTurn(ws, data) {
   
   const playerId = playerToId.get(ws);
   
-  // Only allow ending turn if it's the player's turn
-  if (gameManager.currentTurn !== playerId) {
+  // Only allow ending turn during battle and if it's the player's turn
+  if (gameManager.phase !== GAME_PHASES.BATTLE || gameManager.currentTurn !== playerId) {
     return;
   }
   
@@ -338,7 +620,156 @@ function handleEndTurn(ws, data) {
   gameManager.switchTurn();
 }
 
+function handleResumeSession(ws, data) {
+  const { roomId, resumeToken } = data;
+  logger.room(roomId, 'Resume session request');
+  const gameManager = rooms.get(roomId);
+  const playerId = gameManager?.findPlayerByResumeToken(resumeToken);
+  
+  if (!playerId) {
+    logger.warn(`Cannot resume session in room ${roomId}`);
+    ws.send(JSON.stringify({
+      type: MESSAGE_TYPES.ERROR,
+      message: 'Session expired'
+    }));
+    return;
+  }
+  
+  // Drop the stale socket binding (its close event may not have fired yet)
+  const oldWs = gameManager.players.get(playerId).ws;
+  playerToRoom.delete(oldWs);
+  playerToId.delete(oldWs);
+  
+  gameManager.reconnectPlayer(playerId, ws);
+  playerToRoom.set(ws, roomId);
+  playerToId.set(ws, playerId);
+  
+  gameManager.sendSessionState(playerId);
+}
+
+// Sockets opened with ?token= (see websocket.js). An unknown or expired token
+// gets an error and the socket carries on as a guest.
+export async function attachSessionAccount(ws, token) {
+  const account = await getAccountForToken(token);
+  // The socket may have closed during the lookup; handleDisconnect already ran
+  // for it, so an entry stored now would never be removed
+  if (ws.readyState !== 1) return; // WebSocket.OPEN
+  if (!account) {
+    ws.send(JSON.stringify({
+      type: MESSAGE_TYPES.ERROR,
+      message: 'Invalid session token'
+    }));
+    return;
+  }
+  socketAccounts.set(ws, { id: account.id, displayName: account.displayName });
+  logger.websocket(`Socket signed in as ${account.username}`);
+}
+
+// Adds the finished match to the history of every signed-in player in it
+function recordMatchHistory(gameManager) {
+  const playerNames = gameManager.getPlayerNames();
+  gameManager.players.forEach((player, playerId) => {
+    if (!player.accountId) return;
+    const opponentId = gameManager.getOpponentId(playerId);
+    recordMatch(player.accountId, {
+      roomId: gameManager.roomId,
+      finishedAt: new Date(gameManager.finishedAt).toISOString(),
+      playerId,
+      opponentName: playerNames[opponentId],
+      vsAI: bots.has(gameManager.roomId),
+      won: gameManager.winner === playerId,
+      reason: gameManager.winReason,
+      preset: gameManager.rules?.preset ?? null,
+      map: gameManager.rules?.map?.id ?? null
+    }).catch(error => logger.error(`Failed to record match history for room ${gameManager.roomId}:`, error));
+  });
+}
+
+export function handleDisconnect(ws) {
+  lobbySubscribers.delete(ws);
+  socketAccounts.delete(ws);
+  dropFromQueue(ws);
+  
+  const spectatedRoomId = spectatorToRoom.get(ws);
+  if (spectatedRoomId) {
+    spectatorToRoom.delete(ws);
+    rooms.get(spectatedRoomId)?.removeSpectator(ws);
+    return;
+  }
+  
+  const roomId = playerToRoom.get(ws);
+  const playerId = playerToId.get(ws);
+  playerToRoom.delete(ws);
+  playerToId.delete(ws);
+  if (!roomId) return;
+  
+  const gameManager = rooms.get(roomId);
+  if (!gameManager) return;
+  
+  // Ignore sockets that were already replaced by a resumed session
+  const player = gameManager.players.get(playerId);
+  if (!player || player.ws !== ws) return;
+  
+  gameManager.markDisconnected(playerId);
+}
+
+export function getActiveRoomCount() {
+  return rooms.size;
+}
+
+// Catches the list changes that happen inside a room (phase changes, drops)
+export function startLobbyUpdates() {
+  const timer = setInterval(refreshLobby, LOBBY_REFRESH_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+// Periodically drop finished rooms (after a short linger so late reconnects
+// still see GAME_OVER) and rooms whose players all left for good
+export function startRoomCleanup() {
+  const timer = setInterval(() => {
+    const now = Date.now();
+    rooms.forEach((gameManager, roomId) => {
+      const finishedRoomTtlMs = (gameManager.config.connection?.finishedRoomTtlSeconds || 30) * 1000;
+      if (gameManager.isDisposable(now, finishedRoomTtlMs)) {
+        removeRoom(roomId);
+      }
+    });
+  }, ROOM_CLEANUP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+function removeRoom(roomId) {
+  const gameManager = rooms.get(roomId);
+  if (!gameManager) return;
+  
+  gameManager.dispose();
+  if (bots.has(roomId)) {
+    bots.get(roomId).dispose();
+    bots.delete(roomId);
+  }
+  gameManager.players.forEach(player => {
+    playerToRoom.delete(player.ws);
+    playerToId.delete(player.ws);
+  });
+  gameManager.spectators.forEach((_, ws) => spectatorToRoom.delete(ws));
+  rooms.delete(roomId);
+  logger.room(roomId, `Room removed (${rooms.size} active)`);
+  refreshLobby();
+}
+
 function generateRoomId() {
   return Math.random().toString(36).substring(2, 8).toUpperCase();
 }
 
+// Replay of the latest finished match played in this room id (null if unknown)
+export function getRoomReplay(roomId) {
+  return getReplay(roomId, getConfig());
+}
+
+// Config snapshot a live room is playing with (null if the room doesn't exist)
+export function getRoomConfig(roomId) {
+  const gameManager = rooms.get(roomId);
+  return gameManager ? gameManager.config : null;
+}
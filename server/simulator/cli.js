@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+// Headless match simulator CLI
+// Usage: node simulator/cli.js [--matches 1000] [--seed 1] [--p1 random] [--p2 greedy]
+//                              [--max-turns 200] [--format json|csv] [--config path/to/config.json]
+//                              [--map mountainPass]
+
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import logger from '../../shared/logger.js';
+import { readConfigFile } from '../config.js';
+import { applyMap, readMaps } from '../maps.js';
+import { runSimulation, summaryToCSV } from './index.js';
+import { STRATEGIES } from './strategies.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+function parseArgs(argv) {
+  const args = {
+    matches: 1000,
+    seed: 1,
+    p1: 'random',
+    p2: 'greedy',
+    maxTurns: 200,
+    format: 'json',
+    config: join(__dirname, '../config.json'),
+    map: '' // map id from server/maps, empty for the plain config board
+  };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (!(key in args) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+    args[key] = argv[i + 1];
+  }
+  return args;
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const strategies = { player1: STRATEGIES[args.p1], player2: STRATEGIES[args.p2] };
+  if (!strategies.player1 || !strategies.player2) {
+    console.error(`Unknown strategy. Available: ${Object.keys(STRATEGIES).join(', ')}`);
+    process.exit(1);
+  }
+  if (args.format !== 'json' && args.format !== 'csv') {
+    console.error('Format must be json or csv');
+    process.exit(1);
+  }
+
+  // Thousands of matches would flood the console
+  logger.setEnabled(false);
+
+  const { config, errors } = readConfigFile(resolve(args.config));
+  if (errors.length > 0) {
+    console.error(`Invalid config ${args.config}:`);
+    errors.forEach(error => console.error(`  ${error}`));
+    process.exit(1);
+  }
+  let matchConfig = config;
+  if (args.map) {
+    const { maps, errors: mapErrors } = readMaps(config);
+    if (!maps.has(args.map)) {
+      console.error(`Unknown or invalid map "${args.map}". Available: ${[...maps.keys()].join(', ')}`);
+      mapErrors.forEach(error => console.error(`  ${error}`));
+      process.exit(1);
+    }
+    matchConfig = applyMap(config, args.map, maps.get(args.map));
+  }
+  const summary = runSimulation({
+    config: matchConfig,
+    strategies,
+    matches: parseInt(args.matches, 10),
+    seed: parseInt(args.seed, 10),
+    maxTurns: parseInt(args.maxTurns, 10)
+  });
+
+  process.stdout.write(args.format === 'csv'
+    ? summaryToCSV(summary)
+    : JSON.stringify(summary, null, 2) + '\n');
+}
+
+main();
@@ -0,0 +1,190 @@
+// Headless match simulator for balance testing
+// Runs GameManager matches without sockets: every player gets a fake ws sink and
+// the turn loop mirrors what rooms.js does for PLACE_UNITS / REQUEST_SHOT / END_TURN.
+
+import { GameManager } from '../gameManager.js';
+import { GAME_PHASES } from '../../shared/types.js';
+import { createSeededRandom, isInCoverage } from '../../shared/utils.js';
+
+const DEFAULT_MAX_TURNS = 200;
+
+// Stand-in for a WebSocket: always open, drops every message
+export function createSocketSink() {
+  return {
+    readyState: 1,
+    send() {}
+  };
+}
+
+// Defense types whose (alive) coverage the path crosses before the shot is resolved
+function getEngagedDefenseTypes(pathTiles, defenses) {
+  const types = new Set();
+  for (const defense of defenses) {
+    if (defense.destroyed) continue;
+    if (pathTiles.some(tile => isInCoverage(defense.x, defense.y, tile.x, tile.y, defense.config.coverage))) {
+      types.add(defense.type);
+    }
+  }
+  return types;
+}
+
+export function runMatch({ config, strategies, seed, maxTurns = DEFAULT_MAX_TURNS }) {
+  // Strategies get their own stream so their choices don't mirror the room's interception rolls
+  const rng = createSeededRandom(seed ^ 0x9E3779B9);
+  const gameManager = new GameManager(`SIM-${seed}`, config, { seed });
+  const stats = {
+    seed,
+    winner: null,
+    reason: null,
+    turns: 0,
+    shots: 0,
+    rejectedShots: 0,
+    defenses: {}, // defenseType -> { engagements, interceptions }
+    launchers: {} // launcherType -> { shots, manaSpent }
+  };
+
+  try {
+    ['player1', 'player2'].forEach(playerId => gameManager.addPlayer(playerId, createSocketSink()));
+    gameManager.startBuildPhase();
+
+    gameManager.players.forEach((player, playerId) => {
+      const units = strategies[playerId].placeUnits({
+        config,
+        playerId,
+        rng,
+        budget: player.buildBudget
+      });
+      gameManager.placeUnits(playerId, units);
+    });
+    // Same path as the build deadline: auto-place a launcher for anyone without one
+    gameManager.handleBuildTimeout();
+
+    while (gameManager.phase === GAME_PHASES.BATTLE && stats.turns < maxTurns) {
+      stats.turns++;
+      const playerId = gameManager.currentTurn;
+      const player = gameManager.players.get(playerId);
+      const shot = strategies[playerId].chooseShot({
+        config,
+        playerId,
+        rng,
+        mana: player.mana,
+        ...gameManager.getUnitsState(playerId)
+      });
+
+      if (shot) {
+        const opponent = gameManager.players.get(gameManager.getOpponentId(playerId));
+        const engaged = getEngagedDefenseTypes(shot.pathTiles, opponent.units.defenses);
+        const result = gameManager.processShot(playerId, shot.launcherId, shot.pathTiles);
+
+        if (result.success) {
+          const launcher = player.units.launchers.find(l => l.id === shot.launcherId);
+          const launcherStats = stats.launchers[launcher.type] ||= { shots: 0, manaSpent: 0 };
+          launcherStats.shots++;
+          launcherStats.manaSpent += launcher.config.manaCost;
+          stats.shots++;
+
+          const interceptedBy = result.intercepted
+            ? opponent.units.defenses.find(d => d.id === result.interceptionDefense)?.type
+            : null;
+          engaged.forEach(type => {
+            const defenseStats = stats.defenses[type] ||= { engagements: 0, interceptions: 0 };
+            defenseStats.engagements++;
+            if (type === interceptedBy) defenseStats.interceptions++;
+          });
+
+          gameManager.updateManaAfterShot(playerId, shot.launcherId);
+          const winner = gameManager.checkWinCondition();
+          if (winner) {
+            gameManager.endGame(winner);
+            break;
+          }
+        } else {
+          stats.rejectedShots++;
+        }
+      }
+
+      gameManager.switchTurn();
+    }
+    // Read from the room: the build deadline can already have ended the game
+    // (no free tile for a launcher), before any turn was played
+    stats.winner = gameManager.winner;
+    stats.reason = gameManager.winReason;
+  } finally {
+    gameManager.dispose();
+  }
+
+  return stats;
+}
+
+export function runSimulation({ config, strategies, matches, seed = 1, maxTurns = DEFAULT_MAX_TURNS }) {
+  const summary = {
+    matches,
+    seed,
+    strategies: {
+      player1: strategies.player1.name,
+      player2: strategies.player2.name
+    },
+    wins: { player1: 0, player2: 0, draw: 0 },
+    winRates: {},
+    averageTurns: 0,
+    averageShots: 0,
+    rejectedShots: 0,
+    defenses: {},
+    launchers: {}
+  };
+
+  let totalTurns = 0;
+  let totalShots = 0;
+  for (let i = 0; i < matches; i++) {
+    const stats = runMatch({ config, strategies, seed: seed + i, maxTurns });
+    summary.wins[stats.winner || 'draw']++;
+    totalTurns += stats.turns;
+    totalShots += stats.shots;
+    summary.rejectedShots += stats.rejectedShots;
+
+    Object.entries(stats.defenses).forEach(([type, { engagements, interceptions }]) => {
+      const total = summary.defenses[type] ||= { engagements: 0, interceptions: 0 };
+      total.engagements += engagements;
+      total.interceptions += interceptions;
+    });
+    Object.entries(stats.launchers).forEach(([type, { shots, manaSpent }]) => {
+      const total = summary.launchers[type] ||= { shots: 0, manaSpent: 0 };
+      total.shots += shots;
+      total.manaSpent += manaSpent;
+    });
+  }
+
+  Object.entries(summary.wins).forEach(([key, count]) => {
+    summary.winRates[key] = matches > 0 ? count / matches : 0;
+  });
+  summary.averageTurns = matches > 0 ? totalTurns / matches : 0;
+  summary.averageShots = matches > 0 ? totalShots / matches : 0;
+  Object.values(summary.defenses).forEach(defense => {
+    defense.interceptionRate = defense.engagements > 0 ? defense.interceptions / defense.engagements : 0;
+  });
+  Object.values(summary.launchers).forEach(launcher => {
+    launcher.manaPerMatch = matches > 0 ? launcher.manaSpent / matches : 0;
+  });
+
+  return summary;
+}
+
+// Flatten a summary into `section,key,metric,value` rows
+export function summaryToCSV(summary) {
+  const rows = [['section', 'key', 'metric', 'value']];
+  rows.push(['match', 'all', 'matches', summary.matches]);
+  rows.push(['match', 'all', 'averageTurns', summary.averageTurns]);
+  rows.push(['match', 'all', 'averageShots', summary.averageShots]);
+  rows.push(['match', 'all', 'rejectedShots', summary.rejectedShots]);
+  Object.entries(summary.wins).forEach(([key, count]) => {
+    rows.push(['wins', key, 'count', count]);
+    rows.push(['wins', key, 'rate', summary.winRates[key]]);
+  });
+  Object.entries(summary.defenses).forEach(([type, stats]) => {
+    Object.entries(stats).forEach(([metric, value]) => rows.push(['defense', type, metric, value]));
+  });
+  Object.entries(summary.launchers).forEach(([type, stats]) => {
+    Object.entries(stats).forEach(([metric, value]) => rows.push(['launcher', type, metric, value]));
+  });
+  return rows.map(row => row.join(',')).join('\n') + '\n';
+}
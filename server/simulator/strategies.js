@@ -0,0 +1,203 @@
+// Scripted strategies for the headless match simulator
+// A strategy is { name, placeUnits(ctx), chooseShot(ctx) }:
+// - placeUnits({ config, playerId, rng, budget }) returns PLACE_UNITS-style units
+//   (on buildable tiles inside the player's deployment zone)
+// - chooseShot({ config, playerId, rng, mana, units, opponentUnits, exploredTiles })
+//   returns { launcherId, pathTiles } or null to end the turn without firing
+
+import { TerrainGrid } from '../../shared/terrain.js';
+import { DeploymentZone } from '../../shared/deployment.js';
+
+function pick(rng, items) {
+  return items[Math.floor(rng() * items.length)];
+}
+
+function getUnitConfig(config, unit) {
+  return unit.type === 'launcher'
+    ? config.launchers.find(l => l.id === unit.launcherType)
+    : config.defenses.find(d => d.id === unit.defenseType);
+}
+
+function overlaps(config, units, x, y, sizeX, sizeY) {
+  return units.some(unit => {
+    const [unitSizeX, unitSizeY] = getUnitConfig(config, unit).size || [1, 1];
+    return !(x + sizeX <= unit.x || x >= unit.x + unitSizeX ||
+             y + sizeY <= unit.y || y >= unit.y + unitSizeY);
+  });
+}
+
+function findFreePosition(config, playerId, units, size, rng) {
+  const [sizeX, sizeY] = size || [1, 1];
+  const terrain = new TerrainGrid(config.terrain, config.gridSize, config.structures);
+  const zone = DeploymentZone.forPlayer(config, playerId);
+  const candidates = [];
+  for (let y = 0; y + sizeY <= config.gridSize; y++) {
+    for (let x = 0; x + sizeX <= config.gridSize; x++) {
+      if (terrain.isAreaPlaceable(x, y, sizeX, sizeY) && zone.containsArea(x, y, sizeX, sizeY) &&
+          !overlaps(config, units, x, y, sizeX, sizeY)) {
+        candidates.push({ x, y });
+      }
+    }
+  }
+  return candidates.length > 0 ? pick(rng, candidates) : null;
+}
+
+// Straight 8-directional path from the launcher towards the target
+export function buildPath(from, to) {
+  const path = [{ x: from.x, y: from.y }];
+  let { x, y } = from;
+  while (x !== to.x || y !== to.y) {
+    x += Math.sign(to.x - x);
+    y += Math.sign(to.y - y);
+    path.push({ x, y });
+  }
+  return path;
+}
+
+// Targets a launcher can hit: path length (tiles) must stay within its range
+// and the straight path must not cross terrain that blocks missiles
+function getReachableTargets(config, launcher, launcherConfig) {
+  const maxSteps = launcherConfig.range - 1;
+  const terrain = new TerrainGrid(config.terrain, config.gridSize, config.structures);
+  const targets = [];
+  for (let y = 0; y < config.gridSize; y++) {
+    for (let x = 0; x < config.gridSize; x++) {
+      const steps = Math.max(Math.abs(x - launcher.x), Math.abs(y - launcher.y));
+      if (steps >= 1 && steps <= maxSteps &&
+          !buildPath(launcher, { x, y }).slice(1).some(tile => terrain.blocksMissiles(tile.x, tile.y))) {
+        targets.push({ x, y });
+      }
+    }
+  }
+  return targets;
+}
+
+function getAffordableLaunchers(config, units, mana) {
+  return units.launchers
+    .filter(l => !l.destroyed)
+    .map(launcher => ({ launcher, launcherConfig: config.launchers.find(c => c.id === launcher.type) }))
+    .filter(({ launcherConfig }) => launcherConfig && launcherConfig.manaCost <= mana);
+}
+
+// Adds random affordable units to `units` at free positions, returns the budget left
+function addRandomUnits(config, playerId, rng, units, budget, unitTypes, maxUnits = Infinity) {
+  let remaining = budget;
+  let added = 0;
+  let affordable = unitTypes.filter(u => u.config.cost <= remaining);
+  while (affordable.length > 0 && added < maxUnits) {
+    const choice = pick(rng, affordable);
+    const position = findFreePosition(config, playerId, units, choice.config.size, rng);
+    if (!position) break;
+    units.push(choice.type === 'launcher'
+      ? { type: 'launcher', launcherType: choice.config.id, ...position }
+      : { type: 'defense', defenseType: choice.config.id, ...position });
+    remaining -= choice.config.cost;
+    added++;
+    affordable = unitTypes.filter(u => u.config.cost <= remaining);
+  }
+  return remaining;
+}
+
+// Spends the budget on random units (first unit is always a launcher) and fires
+// a random affordable launcher at a random reachable tile
+export const randomStrategy = {
+  name: 'random',
+
+  placeUnits({ config, playerId, rng, budget }) {
+    const launchers = config.launchers.map(c => ({ type: 'launcher', config: c }));
+    const defenses = config.defenses.map(c => ({ type: 'defense', config: c }));
+    const units = [];
+    const remaining = addRandomUnits(config, playerId, rng, units, budget, launchers, 1);
+    addRandomUnits(config, playerId, rng, units, remaining, [...launchers, ...defenses]);
+    return units;
+  },
+
+  chooseShot({ config, rng, mana, units }) {
+    const affordable = getAffordableLaunchers(config, units, mana);
+    if (affordable.length === 0) return null;
+    const { launcher, launcherConfig } = pick(rng, affordable);
+    const targets = getReachableTargets(config, launcher, launcherConfig);
+    if (targets.length === 0) return null;
+    return { launcherId: launcher.id, pathTiles: buildPath(launcher, pick(rng, targets)) };
+  }
+};
+
+// Buys the biggest launchers it can plus one defense, saves mana for its
+// largest-AoE launcher and aims at the unexplored tile it can cover best
+export const greedyStrategy = {
+  name: 'greedy',
+
+  placeUnits({ config, playerId, rng, budget }) {
+    const units = [];
+    let remaining = budget;
+    const cheapestDefense = [...config.defenses].sort((a, b) => a.cost - b.cost)[0];
+    const byCostDesc = [...config.launchers].sort((a, b) => b.cost - a.cost);
+    const reserve = cheapestDefense ? cheapestDefense.cost : 0;
+
+    for (const launcherConfig of byCostDesc) {
+      while (remaining - launcherConfig.cost >= reserve || (units.length === 0 && launcherConfig.cost <= remaining)) {
+        const position = findFreePosition(config, playerId, units, launcherConfig.size, rng);
+        if (!position) break;
+        units.push({ type: 'launcher', launcherType: launcherConfig.id, ...position });
+        remaining -= launcherConfig.cost;
+      }
+    }
+    if (cheapestDefense && cheapestDefense.cost <= remaining) {
+      const position = findFreePosition(config, playerId, units, cheapestDefense.size, rng);
+      if (position) {
+        units.push({ type: 'defense', defenseType: cheapestDefense.id, ...position });
+      }
+    }
+    return units;
+  },
+
+  chooseShot({ config, rng, mana, units, exploredTiles }) {
+    const alive = units.launchers.filter(l => !l.destroyed);
+    const biggest = alive
+      .map(launcher => config.launchers.find(c => c.id === launcher.type))
+      .filter(Boolean)
+      .sort((a, b) => b.aoe[0] * b.aoe[1] - a.aoe[0] * a.aoe[1])[0];
+    // Save up for the biggest launcher unless mana is already capped
+    if (biggest && biggest.manaCost > mana && mana < config.mana.maxMana) {
+      return null;
+    }
+
+    const affordable = getAffordableLaunchers(config, units, mana)
+      .sort((a, b) => b.launcherConfig.aoe[0] * b.launcherConfig.aoe[1] - a.launcherConfig.aoe[0] * a.launcherConfig.aoe[1]);
+    if (affordable.length === 0) return null;
+
+    const { launcher, launcherConfig } = affordable[0];
+    const explored = new Set(exploredTiles.map(t => `${t.x},${t.y}`));
+    const [aoeWidth, aoeHeight] = launcherConfig.aoe;
+    const halfWidth = Math.floor(aoeWidth / 2);
+    const halfHeight = Math.floor(aoeHeight / 2);
+
+    let best = [];
+    let bestScore = -1;
+    for (const target of getReachableTargets(config, launcher, launcherConfig)) {
+      let score = 0;
+      for (let dy = -halfHeight; dy <= halfHeight; dy++) {
+        for (let dx = -halfWidth; dx <= halfWidth; dx++) {
+          const x = target.x + dx;
+          const y = target.y + dy;
+          if (x >= 0 && x < config.gridSize && y >= 0 && y < config.gridSize && !explored.has(`${x},${y}`)) {
+            score++;
+          }
+        }
+      }
+      if (score > bestScore) {
+        best = [target];
+        bestScore = score;
+      } else if (score === bestScore) {
+        best.push(target);
+      }
+    }
+    if (best.length === 0) return null;
+    return { launcherId: launcher.id, pathTiles: buildPath(launcher, pick(rng, best)) };
+  }
+};
+
+export const STRATEGIES = {
+  random: randomStrategy,
+  greedy: greedyStrategy
+};
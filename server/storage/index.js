@@ -0,0 +1,27 @@
+// Storage adapters for accounts, sessions and match history
+// `accounts.storage` in config.json picks one: "json" (default) keeps
+// everything in `accounts.file`, "memory" keeps nothing across restarts
+// (handy for local testing). See memoryStorage.js for the adapter interface.
+
+import { fileURLToPath } from 'url';
+import { dirname, join, isAbsolute } from 'path';
+import { MemoryStorage } from './memoryStorage.js';
+import { JsonFileStorage } from './jsonFileStorage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_STORAGE_FILE = 'data/accounts.json';
+
+export function createStorage(accountsConfig = {}) {
+  const type = accountsConfig.storage || 'json';
+  if (type === 'memory') {
+    return new MemoryStorage();
+  }
+  if (type === 'json') {
+    // Relative paths are resolved against the server directory, like replays.directory
+    const file = accountsConfig.file || DEFAULT_STORAGE_FILE;
+    return new JsonFileStorage(isAbsolute(file) ? file : join(__dirname, '..', file));
+  }
+  throw new Error(`Unknown account storage "${type}"`);
+}
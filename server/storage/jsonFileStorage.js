@@ -0,0 +1,51 @@
+// Account storage in a single JSON file
+// Keeps everything in memory (see MemoryStorage) and rewrites the whole file
+// after each change. Writes go to a temporary file that is then renamed over
+// the old one, so a crash mid-write leaves the previous version intact. Fine
+// for the few hundred accounts of a self-hosted server; a database adapter can
+// replace it behind the same interface.
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { MemoryStorage } from './memoryStorage.js';
+import logger from '../../shared/logger.js';
+
+export class JsonFileStorage extends MemoryStorage {
+  constructor(file) {
+    super();
+    this.file = file;
+    this.writeQueue = Promise.resolve(); // writes run one after another, in order
+  }
+
+  async init() {
+    let contents;
+    try {
+      contents = await readFile(this.file, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      logger.info(`Account storage ${this.file} not found, starting empty`);
+      return;
+    }
+    // A corrupt file stops the boot rather than being overwritten with nothing
+    const data = JSON.parse(contents);
+    this.data = { ...this.createEmptyData(), ...data };
+    logger.info(`Account storage loaded from ${this.file} (${Object.keys(this.data.accounts).length} accounts)`);
+  }
+
+  // Resolves once this change is on disk; a failed write is logged and the
+  // next change writes everything again
+  changed() {
+    const contents = JSON.stringify(this.data);
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await mkdir(dirname(this.file), { recursive: true });
+        const tempFile = `${this.file}.tmp`;
+        await writeFile(tempFile, contents);
+        await rename(tempFile, this.file);
+      } catch (error) {
+        logger.error(`Failed to write account storage ${this.file}:`, error);
+      }
+    });
+    return this.writeQueue;
+  }
+}
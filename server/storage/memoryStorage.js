@@ -0,0 +1,98 @@
+// In-memory account storage
+// The reference implementation of the storage adapter interface used by
+// accounts.js. Every method is async so adapters backed by a database fit the
+// same calls:
+//   init()                                   load persisted data (once, at boot)
+//   getAccount(accountId)                    account or null
+//   findAccountByUsername(username)          account or null
+//   createAccount(account)                   stores a new account, returns it (null if the username is taken)
+//   updateAccount(accountId, changes)        merges `changes`, returns the account (null if unknown)
+//   saveSession(session)                     { tokenHash, accountId, createdAt, expiresAt }
+//   getSession(tokenHash)                    session or null
+//   deleteSession(tokenHash)
+//   deleteExpiredSessions(now)               returns how many were dropped
+//   addMatch(accountId, match, maxMatches)   newest first, only the latest `maxMatches` are kept
+//   getMatches(accountId, limit)             newest first
+// Records are handed out as copies, so callers can't change stored data by accident.
+// Nothing survives a restart here: JsonFileStorage adds that on top.
+
+const copy = (record) => (record ? JSON.parse(JSON.stringify(record)) : null);
+
+export class MemoryStorage {
+  constructor() {
+    this.data = this.createEmptyData();
+  }
+
+  createEmptyData() {
+    return {
+      accounts: {}, // accountId -> { id, username, displayName, passwordSalt, passwordHash, settings, createdAt }
+      sessions: {}, // tokenHash -> { tokenHash, accountId, createdAt, expiresAt }
+      matches: {} // accountId -> match history entries, newest first
+    };
+  }
+
+  // Called after every change; persistent adapters write the data out here
+  async changed() {}
+
+  async init() {}
+
+  async getAccount(accountId) {
+    return copy(this.data.accounts[accountId]);
+  }
+
+  async findAccountByUsername(username) {
+    return copy(Object.values(this.data.accounts).find(account => account.username === username));
+  }
+
+  async createAccount(account) {
+    // Checked here, next to the insert: register() hashes the password in between
+    // its own check and this call, so two registrations can both get past it
+    if (Object.values(this.data.accounts).some(existing => existing.username === account.username)) {
+      return null;
+    }
+    this.data.accounts[account.id] = copy(account);
+    await this.changed();
+    return copy(account);
+  }
+
+  async updateAccount(accountId, changes) {
+    const account = this.data.accounts[accountId];
+    if (!account) return null;
+    Object.assign(account, copy(changes));
+    await this.changed();
+    return copy(account);
+  }
+
+  async saveSession(session) {
+    this.data.sessions[session.tokenHash] = copy(session);
+    await this.changed();
+  }
+
+  async getSession(tokenHash) {
+    return copy(this.data.sessions[tokenHash]);
+  }
+
+  async deleteSession(tokenHash) {
+    if (!this.data.sessions[tokenHash]) return;
+    delete this.data.sessions[tokenHash];
+    await this.changed();
+  }
+
+  async deleteExpiredSessions(now) {
+    const expired = Object.values(this.data.sessions).filter(session => session.expiresAt <= now);
+    if (expired.length === 0) return 0;
+    expired.forEach(session => delete this.data.sessions[session.tokenHash]);
+    await this.changed();
+    return expired.length;
+  }
+
+  async addMatch(accountId, match, maxMatches) {
+    const matches = [copy(match), ...(this.data.matches[accountId] || [])];
+    this.data.matches[accountId] = matches.slice(0, maxMatches);
+    await this.changed();
+  }
+
+  async getMatches(accountId, limit) {
+    return copy((this.data.matches[accountId] || []).slice(0, limit));
+  }
+}
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initAccounts, register, login } from '../accounts.js';
+
+await initAccounts({ accounts: { storage: 'memory' } });
+
+test('concurrent registrations of one username create a single account', async () => {
+  const results = await Promise.all([
+    register({ username: 'sara', password: 'password-one' }),
+    register({ username: 'Sara', password: 'password-two' })
+  ]);
+
+  const created = results.filter(result => result.account);
+  const rejected = results.filter(result => result.error);
+  assert.equal(created.length, 1);
+  assert.equal(rejected.length, 1);
+  assert.equal(rejected[0].status, 409);
+
+  // Only the winner's password signs in
+  const password = results[0].account ? 'password-one' : 'password-two';
+  const other = results[0].account ? 'password-two' : 'password-one';
+  assert.ok((await login({ username: 'sara', password })).token);
+  assert.equal((await login({ username: 'sara', password: other })).status, 401);
+});
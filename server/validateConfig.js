@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+
+// Config validation CLI
+// Usage: node validateConfig.js [path/to/config.json ...]   (defaults to server/config.json)
+// The map files in server/maps are checked against server/config.json when it's one of them.
+// Exits with 1 if any file is invalid.
+
+import { resolve } from 'path';
+import { CONFIG_PATH, readConfigFile } from './config.js';
+import { MAPS_DIR, readMaps } from './maps.js';
+
+function checkMaps(config) {
+  const { maps, errors } = readMaps(config);
+  if (errors.length === 0) {
+    console.log(`✓ ${MAPS_DIR} (${maps.size} map${maps.size === 1 ? '' : 's'})`);
+    return true;
+  }
+  console.error(`✗ ${MAPS_DIR} (${errors.length} error${errors.length === 1 ? '' : 's'})`);
+  errors.forEach(error => console.error(`  ${error}`));
+  return false;
+}
+
+function main() {
+  const files = process.argv.length > 2 ? process.argv.slice(2).map(file => resolve(file)) : [CONFIG_PATH];
+  let failed = false;
+
+  files.forEach(file => {
+    const { config, errors } = readConfigFile(file);
+    if (errors.length === 0) {
+      console.log(`✓ ${file}`);
+      if (file === CONFIG_PATH) {
+        failed = !checkMaps(config) || failed;
+      }
+      return;
+    }
+    failed = true;
+    console.error(`✗ ${file} (${errors.length} error${errors.length === 1 ? '' : 's'})`);
+    errors.forEach(error => console.error(`  ${error}`));
+  });
+
+  process.exit(failed ? 1 : 0);
+}
+
+main();
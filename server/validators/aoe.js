@@ -1,62 +1,70 @@
-import { getAOECells } from '../../shared/utils.js';
+import { getAOECells, getUnitSize } from '../../shared/utils.js';
+import { DEFAULT_LAUNCHER_DAMAGE } from '../../shared/constants.js';
 
-export function calculateAOEDamage(centerX, centerY, aoe, opponentUnits, gridSize) {
-  const [aoeWidth, aoeHeight] = aoe;
-  const targetCells = getAOECells(centerX, centerY, aoeWidth, aoeHeight, gridSize);
-  
-  const damage = {
-    launchers: [],
-    defenses: []
-  };
+// Damage a launcher deals `distance` tiles from the impact centre (Chebyshev
+// distance, so each ring of the AoE square is one step). `damageFalloff` is the
+// fraction of the centre damage lost per ring.
+export function getFalloffDamage(launcherConfig, distance) {
+  const centerDamage = launcherConfig.damage ?? DEFAULT_LAUNCHER_DAMAGE;
+  const falloff = launcherConfig.damageFalloff ?? 0;
+  return Math.max(0, Math.round(centerDamage * (1 - falloff * distance)));
+}
+
+// Distance from the impact centre to the closest cell of `unit` inside the AoE,
+// or null if the AoE misses it
+function getHitDistance(unit, targetCells, centerX, centerY) {
+  const [sizeX, sizeY] = getUnitSize(unit.config, unit.rotated);
+  let closest = null;
 
-  // Check each cell in AoE
   for (const cell of targetCells) {
-    // Check launchers
-    for (const launcher of opponentUnits.launchers) {
-      if (launcher.destroyed) continue;
-      
-      // Check if launcher occupies this cell (considering size)
-      const [sizeX, sizeY] = launcher.config.size;
-      for (let dy = 0; dy < sizeY; dy++) {
-        for (let dx = 0; dx < sizeX; dx++) {
-          if (launcher.x + dx === cell.x && launcher.y + dy === cell.y) {
-            launcher.destroyed = true;
-            damage.launchers.push({
-              id: launcher.id,
-              type: launcher.type,
-              x: launcher.x,
-              y: launcher.y
-            });
-            break;
-          }
-        }
-      }
-    }
+    const inside = cell.x >= unit.x && cell.x < unit.x + sizeX &&
+                   cell.y >= unit.y && cell.y < unit.y + sizeY;
+    if (!inside) continue;
 
-    // Check defenses (with size support)
-    for (const defense of opponentUnits.defenses) {
-      if (defense.destroyed) continue;
-      
-      // Check if defense occupies this cell (considering size)
-      const [sizeX, sizeY] = defense.config.size || [1, 1];
-      for (let dy = 0; dy < sizeY; dy++) {
-        for (let dx = 0; dx < sizeX; dx++) {
-          if (defense.x + dx === cell.x && defense.y + dy === cell.y) {
-            defense.destroyed = true;
-            damage.defenses.push({
-              id: defense.id,
-              x: defense.x,
-              y: defense.y
-            });
-            break;
-          }
-        }
-      }
-    }
+    const distance = Math.max(Math.abs(cell.x - centerX), Math.abs(cell.y - centerY));
+    if (closest === null || distance < closest) closest = distance;
   }
-
-  return { damage, targetCells };
+  return closest;
 }
 
+// Each unit takes one hit per shot (from its cell closest to the centre), reduced
+// by its armor. Units reaching 0 health are destroyed.
+// Returns every unit hit: { id, type, x, y, damage, health, destroyed }
+export function calculateAOEDamage(centerX, centerY, launcherConfig, opponentUnits, gridSize) {
+  const [aoeWidth, aoeHeight] = launcherConfig.aoe;
+  const targetCells = getAOECells(centerX, centerY, aoeWidth, aoeHeight, gridSize);
+
+  const applyHits = (units) => {
+    const hits = [];
+    for (const unit of units) {
+      if (unit.destroyed) continue;
+
+      const distance = getHitDistance(unit, targetCells, centerX, centerY);
+      if (distance === null) continue;
 
+      const armor = unit.config.armor || 0;
+      const dealt = Math.min(unit.health, Math.max(0, getFalloffDamage(launcherConfig, distance) - armor));
+      unit.health -= dealt;
+      if (unit.health <= 0) {
+        unit.destroyed = true;
+      }
+      hits.push({
+        id: unit.id,
+        type: unit.type,
+        x: unit.x,
+        y: unit.y,
+        damage: dealt,
+        health: unit.health,
+        destroyed: unit.destroyed
+      });
+    }
+    return hits;
+  };
 
+  const damage = {
+    launchers: applyHits(opponentUnits.launchers),
+    defenses: applyHits(opponentUnits.defenses)
+  };
+
+  return { damage, targetCells };
+}
@@ -0,0 +1,182 @@
+import Ajv from 'ajv';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { TerrainGrid, OPEN_TERRAIN } from '../../shared/terrain.js';
+import { DeploymentZone } from '../../shared/deployment.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const schema = JSON.parse(readFileSync(join(__dirname, '../config.schema.json'), 'utf-8'));
+const ajv = new Ajv({ allErrors: true });
+ajv.addSchema(schema);
+const validateSchema = ajv.getSchema(schema.$id);
+// Partial overrides of gridSize/buildBudget/mana/battle/deploymentZones (presets and custom-rules rooms)
+const validateOverridesSchema = ajv.getSchema(`${schema.$id}#/definitions/ruleOverrides`);
+// Files in server/maps
+const validateMapFileSchema = ajv.getSchema(`${schema.$id}#/definitions/mapFile`);
+
+// "/launchers/0/aoe" -> "launchers[0].aoe"
+function formatPath(instancePath, property, prefix) {
+  const segments = instancePath.split('/').filter(Boolean);
+  if (prefix) segments.unshift(prefix);
+  if (property !== undefined) segments.push(property);
+
+  return segments.reduce((path, segment) => {
+    if (/^\d+$/.test(segment)) return `${path}[${segment}]`;
+    return path ? `${path}.${segment}` : segment;
+  }, '') || '(root)';
+}
+
+// Point at the unit by id too, indexes alone are hard to find in a long file
+function describeUnit(config, path) {
+  const match = path.match(/^(launchers|defenses)\[(\d+)\]/);
+  const id = match && config?.[match[1]]?.[match[2]]?.id;
+  return typeof id === 'string' ? ` (${match[1] === 'launchers' ? 'launcher' : 'defense'} "${id}")` : '';
+}
+
+function schemaErrorToString(config, error, prefix) {
+  let path;
+  let message;
+
+  switch (error.keyword) {
+    case 'required':
+      path = formatPath(error.instancePath, error.params.missingProperty, prefix);
+      message = 'is required';
+      break;
+    case 'additionalProperties':
+      path = formatPath(error.instancePath, error.params.additionalProperty, prefix);
+      message = 'is not a known setting (typo?)';
+      break;
+    default:
+      path = formatPath(error.instancePath, undefined, prefix);
+      message = error.message;
+      break;
+  }
+  return `${path}${describeUnit(config, path)}: ${message}`;
+}
+
+// Rules JSON Schema can't express; the structure is already known to be valid here
+function checkCrossFieldRules(config) {
+  const errors = [];
+
+  ['launchers', 'defenses'].forEach(listName => {
+    const seen = new Map(); // id -> first index
+    config[listName].forEach((unit, index) => {
+      if (seen.has(unit.id)) {
+        errors.push(`${listName}[${index}].id: duplicate id "${unit.id}" (already used by ${listName}[${seen.get(unit.id)}])`);
+      } else {
+        seen.set(unit.id, index);
+      }
+
+      const [width, height] = unit.size;
+      if (width > config.gridSize || height > config.gridSize) {
+        errors.push(`${listName}[${index}].size${describeUnit(config, `${listName}[${index}]`)}: ` +
+          `${width}x${height} does not fit a ${config.gridSize}x${config.gridSize} grid`);
+      }
+    });
+  });
+
+  config.launchers.forEach((launcher, index) => {
+    if (launcher.manaCost > config.mana.maxMana) {
+      errors.push(`launchers[${index}].manaCost${describeUnit(config, `launchers[${index}]`)}: ` +
+        `${launcher.manaCost} is more than mana.maxMana (${config.mana.maxMana}), it could never be fired`);
+    }
+  });
+
+  if (config.mana.startMana > config.mana.maxMana) {
+    errors.push(`mana.startMana: ${config.mana.startMana} is more than mana.maxMana (${config.mana.maxMana})`);
+  }
+
+  // Battle can't start without a launcher on each side
+  const cheapestLauncher = Math.min(...config.launchers.map(l => l.cost));
+  if (config.buildBudget < cheapestLauncher) {
+    errors.push(`buildBudget: ${config.buildBudget} can't afford any launcher (cheapest costs ${cheapestLauncher})`);
+  }
+
+  errors.push(...checkBoardRules(config));
+
+  return errors;
+}
+
+// Terrain, structures and deployment zones
+function checkBoardRules(config) {
+  const errors = [];
+
+  const types = config.terrain?.types || {};
+  (config.terrain?.tiles || []).forEach((tile, index) => {
+    if (tile.type !== OPEN_TERRAIN && !Object.prototype.hasOwnProperty.call(types, tile.type)) {
+      errors.push(`terrain.tiles[${index}].type: unknown terrain type "${tile.type}"`);
+    }
+  });
+
+  // Unlike terrain tiles, structures aren't clipped: half a bunker makes no sense
+  (config.structures || []).forEach((structure, index) => {
+    const [sizeX, sizeY] = structure.size || [1, 1];
+    if (structure.x + sizeX > config.gridSize || structure.y + sizeY > config.gridSize) {
+      errors.push(`structures[${index}]: ${sizeX}x${sizeY} at ${structure.x},${structure.y} ` +
+        `does not fit a ${config.gridSize}x${config.gridSize} grid`);
+    }
+  });
+  if (errors.length > 0) return errors;
+
+  // Every launcher needs somewhere to stand on each side, otherwise the battle can't start
+  const terrain = new TerrainGrid(config.terrain, config.gridSize, config.structures);
+  ['player1', 'player2'].forEach(playerId => {
+    const zone = DeploymentZone.forPlayer(config, playerId);
+    const where = config.deploymentZones?.[playerId] ? `deploymentZones.${playerId}` : 'terrain';
+    config.launchers.forEach((launcher, index) => {
+      const [sizeX, sizeY] = launcher.size;
+      for (let y = 0; y + sizeY <= config.gridSize; y++) {
+        for (let x = 0; x + sizeX <= config.gridSize; x++) {
+          if (terrain.isAreaPlaceable(x, y, sizeX, sizeY) && zone.containsArea(x, y, sizeX, sizeY)) return;
+        }
+      }
+      const error = `${where}: leaves no buildable ${sizeX}x${sizeY} area for ` +
+        `launchers[${index}]${describeUnit(config, `launchers[${index}]`)}`;
+      // Without zones both players share the same board, report it once
+      if (!errors.includes(error)) errors.push(error);
+    });
+  });
+
+  return errors;
+}
+
+// Returns { valid, errors } with errors as "path: message" strings
+export function validateConfig(config) {
+  if (!validateSchema(config)) {
+    return {
+      valid: false,
+      errors: validateSchema.errors.map(error => schemaErrorToString(config, error))
+    };
+  }
+
+  const errors = checkCrossFieldRules(config);
+  return { valid: errors.length === 0, errors };
+}
+
+// Shape check of a map file. The room config the map produces still has to
+// pass validateConfig (see maps.js).
+export function validateMapFile(map) {
+  if (!validateMapFileSchema(map)) {
+    return {
+      valid: false,
+      errors: validateMapFileSchema.errors.map(error => schemaErrorToString(null, error))
+    };
+  }
+  return { valid: true, errors: [] };
+}
+
+// Shape check of rule overrides sent with CREATE_ROOM; errors are reported under
+// `prefix` ("rules.mana.maxShotsPerTurn: must be >= 1"). The merged room config
+// still has to pass validateConfig.
+export function validateRuleOverrides(overrides, prefix = 'rules') {
+  if (!validateOverridesSchema(overrides)) {
+    return {
+      valid: false,
+      errors: validateOverridesSchema.errors.map(error => schemaErrorToString(null, error, prefix))
+    };
+  }
+  return { valid: true, errors: [] };
+}
@@ -1,8 +1,11 @@
 import { isInCoverage } from '../../shared/utils.js';
 
-export function checkDefenseInterception(pathTiles, defenses, gridSize) {
+// `random` is the room's seeded PRNG (see GameManager) so interception rolls are reproducible.
+// `terrain` (a TerrainGrid, optional) scales the chance on each path tile, e.g. forests lower it.
+export function checkDefenseInterception(pathTiles, defenses, gridSize, random, terrain = null) {
   // Check each tile in path against each defense
   for (const tile of pathTiles) {
+    const multiplier = terrain ? terrain.getInterceptMultiplier(tile.x, tile.y) : 1;
     for (const defense of defenses) {
       if (defense.destroyed) continue;
 
@@ -16,8 +19,8 @@ export function checkDefenseInterception(pathTiles, defenses, gridSize) {
 
       if (inCoverage) {
         // Roll for interception
-        const roll = Math.random();
-        if (roll <= defense.config.interceptChance) {
+        const roll = random();
+        if (roll <= defense.config.interceptChance * multiplier) {
           return {
             intercepted: true,
             defenseId: defense.id,
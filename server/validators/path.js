@@ -1,12 +1,14 @@
 import { isValidPath, isAdjacent } from '../../shared/utils.js';
+import logger from '../../shared/logger.js';
 
-export function validatePath(pathTiles, maxRange, gridSize) {
+// `terrain` (a TerrainGrid) is optional; without it every tile is open ground
+export function validatePath(pathTiles, maxRange, gridSize, terrain = null) {
   if (!pathTiles || pathTiles.length < 2) {
     return { success: false, error: 'Path must have at least 2 tiles' };
   }
 
   // Log path for debugging
-  console.log('validatePath called', {
+  logger.debug('validatePath called', {
     pathLength: pathTiles.length,
     maxRange,
     gridSize,
@@ -16,7 +18,7 @@ export function validatePath(pathTiles, maxRange, gridSize) {
   // Check if path is valid (adjacent tiles)
   const pathValid = isValidPath(pathTiles, maxRange);
   if (!pathValid) {
-    console.log('Path validation failed - checking adjacency and range', {
+    logger.debug('Path validation failed - checking adjacency and range', {
       pathLength: pathTiles.length,
       maxRange,
       pathTiles: pathTiles.map((t, i) => ({
@@ -38,12 +40,23 @@ export function validatePath(pathTiles, maxRange, gridSize) {
   // So we just need to check that x and y are within 0 to gridSize-1
   for (const tile of pathTiles) {
     if (tile.x < 0 || tile.x >= gridSize || tile.y < 0 || tile.y >= gridSize) {
-      console.log('Path out of bounds', { tile, gridSize });
+      logger.debug('Path out of bounds', { tile, gridSize });
       return { success: false, error: 'Path out of bounds' };
     }
   }
 
-  console.log('Path validation passed');
+  // Missiles can't fly over or into blocking terrain (mountains). The first tile
+  // is the launch site, units are never placed on such tiles anyway.
+  if (terrain) {
+    for (const tile of pathTiles.slice(1)) {
+      if (terrain.blocksMissiles(tile.x, tile.y)) {
+        logger.debug('Path blocked by terrain', { tile, terrain: terrain.getType(tile.x, tile.y) });
+        return { success: false, error: 'Path blocked by terrain' };
+      }
+    }
+  }
+
+  logger.debug('Path validation passed');
   return { success: true };
 }
 
@@ -0,0 +1,88 @@
+import { PLACEMENT_ERRORS } from '../../shared/types.js';
+import { getUnitSize } from '../../shared/utils.js';
+
+// Rejections carry `error` (as before) plus the structured fields the client
+// localizes: code (PLACEMENT_ERRORS), unitIndex (index in the PLACE_UNITS list,
+// null for the whole layout) and reason. Extra fields depend on the code.
+function reject(code, unitIndex, reason, extra = {}) {
+  return { success: false, error: reason, code, unitIndex, reason, ...extra };
+}
+
+function getUnitConfig(config, unit) {
+  if (unit?.type === 'launcher') return config.launchers.find(l => l.id === unit.launcherType);
+  if (unit?.type === 'defense') return config.defenses.find(d => d.id === unit.defenseType);
+  return null;
+}
+
+// Checks a whole PLACE_UNITS layout before anything is built. `budget` is what the
+// player may spend on it: the remaining build budget plus the refund of the units
+// the layout replaces. Returns { success, unitConfigs, totalCost } or a rejection.
+export function validatePlacement(units, { config, terrain, deploymentZone, budget }) {
+  if (!Array.isArray(units)) {
+    return reject(PLACEMENT_ERRORS.INVALID_UNITS, null, 'Units must be a list');
+  }
+
+  const unitConfigs = [];
+  const footprints = []; // { x, y, sizeX, sizeY } of the units checked so far
+  let totalCost = 0;
+
+  for (let index = 0; index < units.length; index++) {
+    const unit = units[index];
+    const unitConfig = getUnitConfig(config, unit);
+    if (!unitConfig) {
+      return reject(PLACEMENT_ERRORS.INVALID_UNIT_TYPE, index, `Invalid unit type: ${unit?.type}`);
+    }
+    const label = unit.type === 'launcher' ? 'Launcher' : 'Defense';
+
+    const { x, y } = unit;
+    if (!Number.isInteger(x) || !Number.isInteger(y)) {
+      return reject(PLACEMENT_ERRORS.INVALID_COORDINATES, index, `${label} coordinates must be integers`);
+    }
+
+    if (unit.rotated !== undefined && typeof unit.rotated !== 'boolean') {
+      return reject(PLACEMENT_ERRORS.INVALID_UNITS, index, `${label} rotated must be true or false`);
+    }
+
+    const [sizeX, sizeY] = getUnitSize(unitConfig, unit.rotated === true);
+    if (x < 0 || x + sizeX > config.gridSize || y < 0 || y + sizeY > config.gridSize) {
+      return reject(PLACEMENT_ERRORS.OUT_OF_BOUNDS, index, `${label} out of bounds`);
+    }
+
+    const blockedBy = terrain.getBlockedPlacement(x, y, sizeX, sizeY);
+    if (blockedBy) {
+      return reject(PLACEMENT_ERRORS.BLOCKED_BY_TERRAIN, index, `${label} cannot be placed on ${blockedBy.type}`, {
+        terrain: blockedBy.titleFA
+      });
+    }
+
+    if (!deploymentZone.containsArea(x, y, sizeX, sizeY)) {
+      return reject(PLACEMENT_ERRORS.OUTSIDE_DEPLOYMENT_ZONE, index, `${label} outside deployment zone`);
+    }
+
+    const otherIndex = footprints.findIndex(other =>
+      !(x + sizeX <= other.x || x >= other.x + other.sizeX ||
+        y + sizeY <= other.y || y >= other.y + other.sizeY)
+    );
+    if (otherIndex !== -1) {
+      const other = footprints[otherIndex];
+      return other.x === x && other.y === y
+        ? reject(PLACEMENT_ERRORS.DUPLICATE_POSITION, index, `${label} is at the same position as unit ${otherIndex}`, {
+            otherUnitIndex: otherIndex
+          })
+        : reject(PLACEMENT_ERRORS.OVERLAP, index, `${label} overlaps unit ${otherIndex}`, {
+            otherUnitIndex: otherIndex
+          });
+    }
+
+    // The first unit that doesn't fit in the budget is the offending one
+    totalCost += unitConfig.cost;
+    if (totalCost > budget) {
+      return reject(PLACEMENT_ERRORS.INSUFFICIENT_BUDGET, index, 'Insufficient budget');
+    }
+
+    footprints.push({ x, y, sizeX, sizeY });
+    unitConfigs.push(unitConfig);
+  }
+
+  return { success: true, unitConfigs, totalCost };
+}
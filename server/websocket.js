@@ -1,14 +1,21 @@
-import { handleWebSocketConnection } from './rooms.js';
+import { handleWebSocketConnection, handleDisconnect, attachSessionAccount } from './rooms.js';
 import logger from '../shared/logger.js';
 
 export function setupWebSocket(wss) {
-  wss.on('connection', (ws) => {
+  wss.on('connection', (ws, req) => {
     logger.websocket('New WebSocket connection');
+    // Signed-in clients connect with ?token=<session token>; their messages wait
+    // until the account is looked up
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    const accountReady = token
+      ? attachSessionAccount(ws, token).catch(error => logger.error('Error looking up session account:', error))
+      : Promise.resolve();
     
     ws.on('message', async (message) => {
       try {
         const data = JSON.parse(message.toString());
         logger.websocket(`Received message: ${data.type}`, data);
+        await accountReady;
         await handleWebSocketConnection(ws, data);
       } catch (error) {
         logger.error('Error handling message:', error);
@@ -21,6 +28,7 @@ export function setupWebSocket(wss) {
 
     ws.on('close', () => {
       logger.websocket('WebSocket connection closed');
+      handleDisconnect(ws);
     });
 
     ws.on('error', (error) => {
@@ -10,9 +10,16 @@ export const UNIT_STATES = {
   DESTROYED: 'destroyed'
 };
 
+// Health/damage defaults for units and launchers that don't set them in config.
+// With these every unit touched by an AoE is destroyed outright.
+export const DEFAULT_UNIT_MAX_HEALTH = 100;
+export const DEFAULT_LAUNCHER_DAMAGE = 100;
+
 export const ANIMATION_DURATIONS = {
   MISSILE_FLIGHT: 2000,
   EXPLOSION: 1500,
   FADE: 500
 };
 
+// Version of the match replay format (server/replays.js); bump when it changes shape
+export const REPLAY_FORMAT_VERSION = 1;
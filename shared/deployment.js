@@ -0,0 +1,64 @@
+// Deployment zones
+// config.deploymentZones = { player1: zone, player2: zone }, each zone in the
+// player's own board coordinates and made of any of:
+// - rects: [{ x, y, width?, height? }]
+// - backRows: N, the N rows farthest from the opponent. The boards face each
+//   other across the separator, so these are the N leftmost columns (x < N).
+// - mask: one string per row (y) with a character per tile, "1" = may build
+// A zone is the union of what it lists. A unit has to stand entirely inside
+// the player's zone; a player without a zone may build anywhere on the board.
+
+export class DeploymentZone {
+  constructor(zone, gridSize) {
+    this.gridSize = gridSize;
+    this.unrestricted = !zone;
+    this.cells = new Set(); // "x,y" of tiles inside the zone
+
+    // Everything is clipped to the grid, like terrain tiles
+    const add = (x, y) => {
+      if (x < gridSize && y < gridSize) this.cells.add(`${x},${y}`);
+    };
+
+    (zone?.rects || []).forEach(rect => {
+      const width = rect.width || 1;
+      const height = rect.height || 1;
+      for (let y = rect.y; y < rect.y + height; y++) {
+        for (let x = rect.x; x < rect.x + width; x++) {
+          add(x, y);
+        }
+      }
+    });
+
+    if (zone?.backRows) {
+      for (let y = 0; y < gridSize; y++) {
+        for (let x = 0; x < zone.backRows; x++) {
+          add(x, y);
+        }
+      }
+    }
+
+    (zone?.mask || []).forEach((row, y) => {
+      [...row].forEach((tile, x) => {
+        if (tile === '1') add(x, y);
+      });
+    });
+  }
+
+  // Zone of one player from a (room) config
+  static forPlayer(config, playerId) {
+    return new DeploymentZone(config.deploymentZones?.[playerId], config.gridSize);
+  }
+
+  contains(x, y) {
+    return this.unrestricted || this.cells.has(`${x},${y}`);
+  }
+
+  containsArea(x, y, sizeX, sizeY) {
+    for (let dy = 0; dy < sizeY; dy++) {
+      for (let dx = 0; dx < sizeX; dx++) {
+        if (!this.contains(x + dx, y + dy)) return false;
+      }
+    }
+    return true;
+  }
+}
@@ -0,0 +1,31 @@
+// Display names
+// Shown to the opponent, spectators and the lobby, so they are checked on the
+// server (CREATE_ROOM, JOIN_ROOM, JOIN_QUEUE); the menu runs the same check
+// before sending. Persian (Arabic script, including the zero-width non-joiner
+// used inside Persian words) and Latin letters are allowed, with digits,
+// spaces and _ . - in between.
+
+export const MAX_DISPLAY_NAME_LENGTH = 20;
+
+const DISPLAY_NAME_PATTERN = /^[\p{Script=Arabic}\p{Script=Latin}0-9 _.\-‌]+$/u;
+const LETTER_OR_DIGIT_PATTERN = /[\p{L}\p{N}]/u;
+
+// Returns { name } (trimmed, inner runs of spaces collapsed; null when no name
+// was given) or { error } for a name that can't be used
+export function normalizeDisplayName(name) {
+  if (name === undefined || name === null) return { name: null };
+  if (typeof name !== 'string') return { error: 'Display name must be a string' };
+
+  const normalized = name.trim().replace(/\s+/g, ' ');
+  if (normalized === '') return { name: null };
+  if (normalized.length > MAX_DISPLAY_NAME_LENGTH) {
+    return { error: `Display name is longer than ${MAX_DISPLAY_NAME_LENGTH} characters` };
+  }
+  if (!DISPLAY_NAME_PATTERN.test(normalized)) {
+    return { error: 'Display name may only contain Persian or Latin letters, digits, spaces and _ . -' };
+  }
+  if (!LETTER_OR_DIGIT_PATTERN.test(normalized)) {
+    return { error: 'Display name must contain a letter or a digit' };
+  }
+  return { name: normalized };
+}
@@ -0,0 +1,105 @@
+// Terrain tiles
+// config.terrain = { types, tiles }: `types` maps a type id to its properties
+// ({ titleFA, color, blocksMissiles, blocksPlacement, interceptChanceMultiplier }),
+// `tiles` lists rectangles ({ type, x, y, width?, height? }) of that type.
+// Every tile not listed is open ground. Both boards use the same layout, and
+// since path tiles use board coordinates the same lookup works for both sides.
+// Neutral structures from map files (config.structures: { titleFA, x, y, size?,
+// color?, blocksMissiles? }) stand on both boards too and can't be built over.
+
+export const OPEN_TERRAIN = 'open';
+
+export class TerrainGrid {
+  constructor(terrain, gridSize, structures = []) {
+    this.gridSize = gridSize;
+    this.types = terrain?.types || {};
+    this.cells = new Map(); // "x,y" -> type id, open tiles are not stored
+    this.structures = structures || [];
+    this.structureCells = new Map(); // "x,y" -> structure
+
+    // Later tiles win where rectangles overlap. Tiles past the edge are clipped,
+    // so presets and custom rules with a smaller grid still work.
+    (terrain?.tiles || []).forEach(tile => {
+      const width = tile.width || 1;
+      const height = tile.height || 1;
+      for (let y = tile.y; y < tile.y + height && y < gridSize; y++) {
+        for (let x = tile.x; x < tile.x + width && x < gridSize; x++) {
+          if (tile.type === OPEN_TERRAIN) {
+            this.cells.delete(`${x},${y}`);
+          } else {
+            this.cells.set(`${x},${y}`, tile.type);
+          }
+        }
+      }
+    });
+
+    this.structures.forEach(structure => {
+      const [sizeX, sizeY] = structure.size || [1, 1];
+      for (let dy = 0; dy < sizeY; dy++) {
+        for (let dx = 0; dx < sizeX; dx++) {
+          this.structureCells.set(`${structure.x + dx},${structure.y + dy}`, structure);
+        }
+      }
+    });
+  }
+
+  getType(x, y) {
+    return this.cells.get(`${x},${y}`) || OPEN_TERRAIN;
+  }
+
+  getProperties(x, y) {
+    return this.types[this.getType(x, y)] || {};
+  }
+
+  getStructure(x, y) {
+    return this.structureCells.get(`${x},${y}`) || null;
+  }
+
+  blocksMissiles(x, y) {
+    return this.getProperties(x, y).blocksMissiles === true ||
+      this.getStructure(x, y)?.blocksMissiles === true;
+  }
+
+  blocksPlacement(x, y) {
+    return this.getProperties(x, y).blocksPlacement === true || this.getStructure(x, y) !== null;
+  }
+
+  // What stands on a tile, for messages: { type, titleFA } where type is the
+  // terrain type id or 'structure'
+  describe(x, y) {
+    const structure = this.getStructure(x, y);
+    if (structure) return { type: 'structure', titleFA: structure.titleFA };
+    const type = this.getType(x, y);
+    return { type, titleFA: this.types[type]?.titleFA || type };
+  }
+
+  // Applied to the interception chance of every defense covering this tile
+  getInterceptMultiplier(x, y) {
+    return this.getProperties(x, y).interceptChanceMultiplier ?? 1;
+  }
+
+  // Returns describe() of the first tile under the footprint that units can't
+  // be placed on, or null when the whole area is buildable
+  getBlockedPlacement(x, y, sizeX, sizeY) {
+    for (let dy = 0; dy < sizeY; dy++) {
+      for (let dx = 0; dx < sizeX; dx++) {
+        if (this.blocksPlacement(x + dx, y + dy)) {
+          return this.describe(x + dx, y + dy);
+        }
+      }
+    }
+    return null;
+  }
+
+  isAreaPlaceable(x, y, sizeX, sizeY) {
+    return this.getBlockedPlacement(x, y, sizeX, sizeY) === null;
+  }
+
+  // Non-open tiles as [{ x, y, type, properties }], for drawing
+  getTiles() {
+    return [...this.cells.entries()].map(([key, type]) => {
+      const [x, y] = key.split(',').map(Number);
+      return { x, y, type, properties: this.types[type] || {} };
+    });
+  }
+}
@@ -1,34 +1,67 @@
 // Game state types and constants
 
+import { DEFAULT_UNIT_MAX_HEALTH } from './constants.js';
+
 export const GAME_PHASES = {
   WAITING: 'waiting',
   BUILD: 'build',
   BATTLE: 'battle',
-  GAME_OVER: 'gameOver'
+  GAME_OVER: 'gameOver',
+  REPLAY: 'replay' // Client only: watching a recorded match
 };
 
 export const MESSAGE_TYPES = {
   // Client -> Server
   JOIN_ROOM: 'joinRoom',
   CREATE_ROOM: 'createRoom',
-  PLACE_UNITS: 'placeUnits',
+  PLACE_UNITS: 'placeUnits', // whole layout at once (bots); the client edits units one by one
+  ADD_UNIT: 'addUnit',
+  REMOVE_UNIT: 'removeUnit',
+  MOVE_UNIT: 'moveUnit',
   READY: 'ready',
   READY_TO_START: 'readyToStart',
   REQUEST_SHOT: 'requestShot',
   END_TURN: 'endTurn',
+  RESUME_SESSION: 'resumeSession',
+  SPECTATE_ROOM: 'spectateRoom', // watch a live room read-only
+  LIST_ROOMS: 'listRooms', // subscribe to the public room list
+  JOIN_QUEUE: 'joinQueue', // quick match
+  LEAVE_QUEUE: 'leaveQueue',
   
   // Server -> Client
   ROOM_UPDATE: 'roomUpdate',
+  ROOM_LIST: 'roomList', // public rooms for the lobby
+  QUEUE_STATUS: 'queueStatus', // quick-match position and estimated wait
   BUILD_PHASE_STATE: 'buildPhaseState',
   BATTLE_STATE: 'battleState',
   MANA_UPDATE: 'manaUpdate',
   TURN_CHANGE: 'turnChange',
   APPLY_DAMAGE: 'applyDamage',
   SHOT_REJECTED: 'shotRejected',
+  UNIT_ACK: 'unitAck', // answer to ADD_UNIT / REMOVE_UNIT / MOVE_UNIT
   GAME_OVER: 'gameOver',
+  OPPONENT_DISCONNECTED: 'opponentDisconnected',
+  OPPONENT_RECONNECTED: 'opponentReconnected',
+  SPECTATOR_EVENTS: 'spectatorEvents', // recorded match events released to spectators
   ERROR: 'error'
 };
 
+// `code` of a rejected PLACE_UNITS (ERROR message with code, unitIndex and reason)
+// or of a rejected unit edit (UNIT_ACK with success: false)
+export const PLACEMENT_ERRORS = {
+  NOT_IN_BUILD_PHASE: 'notInBuildPhase',
+  INVALID_UNITS: 'invalidUnits', // payload isn't a list of units
+  INVALID_UNIT_TYPE: 'invalidUnitType',
+  INVALID_COORDINATES: 'invalidCoordinates', // x/y not integers
+  OUT_OF_BOUNDS: 'outOfBounds',
+  BLOCKED_BY_TERRAIN: 'blockedByTerrain',
+  OUTSIDE_DEPLOYMENT_ZONE: 'outsideDeploymentZone',
+  DUPLICATE_POSITION: 'duplicatePosition', // same x/y as another unit
+  OVERLAP: 'overlap',
+  INSUFFICIENT_BUDGET: 'insufficientBudget',
+  UNKNOWN_UNIT: 'unknownUnit' // REMOVE_UNIT / MOVE_UNIT with an id the player doesn't own
+};
+
 export class Unit {
   constructor(id, type, x, y, playerId) {
     this.id = id;
@@ -36,7 +69,8 @@ export class Unit {
     this.x = x;
     this.y = y;
     this.playerId = playerId;
-    this.health = 100;
+    this.rotated = false; // footprint turned by 90° (see getUnitSize)
+    this.health = DEFAULT_UNIT_MAX_HEALTH;
     this.destroyed = false;
   }
 }
@@ -45,7 +79,8 @@ export class Launcher extends Unit {
   constructor(id, type, x, y, playerId, config) {
     super(id, type, x, y, playerId);
     this.config = config;
-    this.health = 100;
+    this.maxHealth = config?.maxHealth ?? DEFAULT_UNIT_MAX_HEALTH;
+    this.health = this.maxHealth;
   }
 }
 
@@ -53,7 +88,8 @@ export class Defense extends Unit {
   constructor(id, type, x, y, playerId, config) {
     super(id, type, x, y, playerId);
     this.config = config;
-    this.health = 100;
+    this.maxHealth = config?.maxHealth ?? DEFAULT_UNIT_MAX_HEALTH;
+    this.health = this.maxHealth;
   }
 }
 
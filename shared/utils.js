@@ -30,6 +30,13 @@ export function isValidPath(path, maxRange) {
   return path.length <= maxRange;
 }
 
+// Footprint of a unit as [sizeX, sizeY]. A rotated unit stands turned by 90°,
+// so its config size [x, y] becomes [y, x].
+export function getUnitSize(unitConfig, rotated = false) {
+  const [sizeX, sizeY] = unitConfig?.size || [1, 1];
+  return rotated ? [sizeY, sizeX] : [sizeX, sizeY];
+}
+
 export function getAOECells(centerX, centerY, aoeWidth, aoeHeight, gridSize) {
   const cells = [];
   const halfWidth = Math.floor(aoeWidth / 2);
@@ -53,8 +60,19 @@ export function isInCoverage(defenseX, defenseY, targetX, targetY, coverage) {
   return distance <= coverage;
 }
 
-export function randomFloat(min, max) {
-  return Math.random() * (max - min) + min;
+// Deterministic PRNG (mulberry32): same contract as Math.random for a 32-bit seed
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomFloat(min, max, random = Math.random) {
+  return random() * (max - min) + min;
 }
 
 export function clamp(value, min, max) {